@@ -0,0 +1,433 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { ANALYSIS_CLASSIFICATIONS, parseAnalysisResult, formatAnalysisResult } from './shared/certora_analysis.mjs';
+
+// Analysis backends: one interface over the tools that turn a prompt into an answer
+//   codex    Codex CLI (`codex exec`), read-only sandbox for analysis, workspace-write for fixes
+//   openai   any OpenAI-compatible /chat/completions endpoint (streamed)
+//   command  any command line; the prompt goes to stdin, stdout is the answer
+//   stub     deterministic local answer derived from the prompt, for tests and offline runs
+//
+// startBackend(backend, { prompt, mode, cwd, onOutput, onError, detached }) returns a task
+//   { pid?, streams, kill(signal), done: Promise<{ code, output, answer }> }
+// code is 0 on success (exit code of the process otherwise, 1 for HTTP / spawn errors); `streams`
+// are the readable streams of a child process so callers can apply backpressure. The openai and stub
+// backends only return text: in fix mode they cannot edit files.
+// startAnalysis() wraps an analysis task: the answer is validated as structured JSON (shared/certora_analysis.mjs)
+// and the prompt is repeated once when it is malformed.
+//
+// The default backend comes from the environment, the analysis and fix profiles of the settings
+// file (settings_store.mjs) override it per phase, and a request can only pick the type and model
+// (REQUEST_BACKEND_FIELDS): commands, URLs, keys and codex flags never come from a request.
+//   ANALYSIS_BACKEND  codex | openai | command | stub (default codex)
+//   ANALYSIS_MODEL    model name (codex: -m, openai: request model)
+//   ANALYSIS_API_URL  base URL of the OpenAI-compatible API (default https://api.openai.com/v1)
+//   ANALYSIS_API_KEY  API key (falls back to OPENAI_API_KEY)
+//   ANALYSIS_COMMAND  shell command for the command backend
+//   CODEX_PROVIDER    model provider in ~/.codex/config.toml that gets the retry settings (default packycode)
+
+export const BACKEND_TYPES = ['codex', 'openai', 'command', 'stub'];
+export const BACKEND_MODES = ['analyze', 'fix'];
+export const SANDBOX_MODES = ['read-only', 'workspace-write', 'danger-full-access'];
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1';
+
+// Backend fields a request may set
+export const REQUEST_BACKEND_FIELDS = ['type', 'model'];
+// Model names are passed as a CLI argument (codex -m), so no leading '-' and no whitespace
+const MODEL_NAME = /^[A-Za-z0-9][A-Za-z0-9._:\/@+-]*$/;
+
+// Codex options (ignored by the other backends); an empty sandbox means read-only for analysis
+// and workspace-write for fixes, an empty effort / summary / policy leaves the flag out
+export function defaultBackendConfig(env = process.env) {
+    return {
+        type: String(env.ANALYSIS_BACKEND || 'codex').toLowerCase(),
+        model: env.ANALYSIS_MODEL || '',
+        url: env.ANALYSIS_API_URL || DEFAULT_API_URL,
+        apiKey: env.ANALYSIS_API_KEY || env.OPENAI_API_KEY || '',
+        command: env.ANALYSIS_COMMAND || '',
+        provider: env.CODEX_PROVIDER ?? 'packycode',
+        requestMaxRetries: 20,
+        streamMaxRetries: 20,
+        reasoningEffort: 'high',
+        reasoningSummary: 'detailed',
+        approvalPolicy: 'never',
+        sandbox: '',
+        extraArgs: []
+    };
+}
+
+// Backend for a request: a type name ("stub") or { type?, model? } over the configured default.
+// Any other field is rejected. Switching type does not inherit the default's model.
+export function resolveBackend(requested, defaults = defaultBackendConfig()) {
+    const spec = typeof requested === 'string' ? { type: requested } : (requested && typeof requested === 'object' ? requested : {});
+    const cleaned = Object.fromEntries(Object.entries(spec).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+    const forbidden = Object.keys(cleaned).filter(field => !REQUEST_BACKEND_FIELDS.includes(field));
+    if (forbidden.length > 0) {
+        throw new Error(`Backend fields ${forbidden.join(', ')} cannot be set per request (use the environment or the settings file)`);
+    }
+    const type = String(cleaned.type || defaults.type).toLowerCase();
+    if (!BACKEND_TYPES.includes(type)) {
+        throw new Error(`Unsupported analysis backend: ${type} (expected ${BACKEND_TYPES.join(', ')})`);
+    }
+    if (cleaned.model !== undefined && !MODEL_NAME.test(String(cleaned.model))) {
+        throw new Error(`Invalid model name: ${cleaned.model}`);
+    }
+    const base = type === defaults.type ? defaults : { ...defaults, model: '' };
+    const backend = { ...base, type, ...(cleaned.model !== undefined ? { model: String(cleaned.model) } : {}) };
+    if (type === 'command' && !String(backend.command || '').trim()) {
+        throw new Error('The command backend needs a command (ANALYSIS_COMMAND or the settings file)');
+    }
+    return backend;
+}
+
+// Backend description without secrets, for logs and the UI
+export function describeBackend(backend) {
+    const { apiKey, ...rest } = backend;
+    return { ...rest, hasApiKey: Boolean(apiKey) };
+}
+
+export function backendLabel(backend) {
+    if (backend.type === 'command') return `command (${backend.command})`;
+    return backend.model ? `${backend.type} (${backend.model})` : backend.type;
+}
+
+// Process Codex output, extract only the final answer
+export function extractCodexAnswer(fullOutput) {
+    // Trace back from the last "tokens used:" to find the most recent non-empty candidate block
+    const lines = fullOutput.split('\n');
+    const tokenIdxs = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (/tokens used:/i.test(lines[i])) tokenIdxs.push(i);
+    }
+
+    const isMetaLine = (l) => (
+        /^\[[\d\-T:\.Z]+\]/.test(l) ||
+        /\] (exec|bash -lc|codex|thinking)\b/i.test(l) ||
+        /workdir:|model:|provider:|approval:|sandbox:|reasoning/i.test(l) ||
+        /OpenAI Codex/i.test(l)
+    );
+
+    for (let k = tokenIdxs.length - 1; k >= 0; k--) {
+        const t = tokenIdxs[k];
+        // Find the most recent timestamp line before t
+        let s = -1;
+        for (let i = t - 1; i >= 0; i--) {
+            if (/^\[[\d\-T:\.Z]+\]/.test(lines[i])) { s = i; break; }
+        }
+        const slice = lines.slice(s + 1, t);
+        const filtered = slice.filter(l => !isMetaLine(l)).join('\n').trim();
+        if (filtered) return filtered;
+    }
+
+    // Try to extract from "Final answer:" marker
+    const finalIdx = lines.findIndex(l => /^(Final answer|Final answer)\s*:/i.test(l));
+    if (finalIdx !== -1) {
+        return lines.slice(finalIdx + 1).join('\n').trim();
+    }
+
+    // Fallback: start from the last "User instructions:" and filter obvious system lines
+    let userInstrIdx = -1;
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (lines[i].includes('User instructions:')) { userInstrIdx = i; break; }
+    }
+    let candidate = (userInstrIdx >= 0 ? lines.slice(userInstrIdx + 1) : lines)
+        .filter(l => !isMetaLine(l) && !/tokens used:/i.test(l))
+        .join('\n').trim();
+    return candidate || fullOutput;
+}
+
+
+// Kill a child process and its process group (detached children lead their own group)
+function killProcess(child, signal) {
+    try { child.kill(signal); } catch { }
+    if (child.pid) {
+        try { process.kill(-child.pid, signal); } catch { }
+    }
+}
+
+// Task around a child process; the answer is extracted from stdout once it exits
+// (includeStderr: stderr is part of the answer text, as with codex exec)
+function processTask(command, args, { input, cwd, env, detached, shell, includeStderr, onOutput, onError, extractAnswer }) {
+    const child = spawn(command, args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: { ...process.env, ...env },
+        ...(cwd ? { cwd } : {}),
+        ...(detached ? { detached: true } : {}),
+        ...(shell ? { shell: true } : {})
+    });
+
+    // Keep only a tail window of stdout for answer extraction on huge logs
+    const MAX_TAIL_BYTES = parseInt(process.env.SSE_TAIL_MAX_BYTES || '2097152'); // 2MB default
+    const tailChunks = [];
+    let tailBytes = 0;
+    const appendTail = (str) => {
+        tailChunks.push(str);
+        tailBytes += Buffer.byteLength(str, 'utf8');
+        while (tailBytes > MAX_TAIL_BYTES && tailChunks.length > 1) {
+            tailBytes -= Buffer.byteLength(tailChunks.shift(), 'utf8');
+        }
+    };
+
+    const done = new Promise((resolve) => {
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            resolve(result);
+        };
+        child.stdout.on('data', (d) => {
+            const chunk = d.toString();
+            appendTail(chunk);
+            onOutput(chunk);
+        });
+        child.stderr.on('data', (d) => {
+            const chunk = d.toString();
+            if (includeStderr) appendTail(chunk);
+            onError(chunk);
+        });
+        child.on('error', (error) => {
+            finish({ code: 1, output: tailChunks.join(''), answer: '', error });
+        });
+        child.on('close', (code) => {
+            const output = tailChunks.join('');
+            finish({ code: code ?? 1, output, answer: code === 0 ? extractAnswer(output) : '' });
+        });
+    });
+
+    if (input != null) {
+        child.stdin.on('error', () => { /* EPIPE when the command does not read stdin */ });
+        child.stdin.end(input);
+    }
+
+    return {
+        pid: child.pid,
+        streams: [child.stdout, child.stderr],
+        kill: (signal = 'SIGTERM') => killProcess(child, signal),
+        done
+    };
+}
+
+// ---------- codex ----------
+
+function codexArgs(backend, { mode, cwd, prompt }) {
+    const sandbox = backend.sandbox || (mode === 'fix' ? 'workspace-write' : 'read-only');
+    const args = ['exec', '--sandbox', sandbox];
+    const config = (key, value) => {
+        if (value !== undefined && value !== null && value !== '') args.push('-c', `${key}=${value}`);
+    };
+    // Retry settings belong to the model provider configured in ~/.codex/config.toml ('none': no provider flags)
+    if (backend.provider && backend.provider !== 'none') {
+        config(`model_providers.${backend.provider}.request_max_retries`, backend.requestMaxRetries);
+        config(`model_providers.${backend.provider}.stream_max_retries`, backend.streamMaxRetries);
+    }
+    config('approval_policy', backend.approvalPolicy);
+    config('model_reasoning_effort', backend.reasoningEffort);
+    config('model_reasoning_summary', backend.reasoningSummary);
+    if (backend.model) args.push('-m', backend.model);
+    args.push(...(backend.extraArgs || []));
+    if (cwd) args.push('-C', cwd);
+    args.push(prompt);
+    return args;
+}
+
+function startCodex(backend, options) {
+    return processTask('codex', codexArgs(backend, options), {
+        ...options,
+        input: null,
+        includeStderr: true,
+        extractAnswer: extractCodexAnswer
+    });
+}
+
+// ---------- command ----------
+
+// The prompt goes to stdin; ANALYSIS_MODE / ANALYSIS_MODEL tell the command what is asked of it
+function startCommand(backend, options) {
+    return processTask(backend.command, [], {
+        ...options,
+        input: options.prompt,
+        shell: true,
+        env: { ANALYSIS_MODE: options.mode, ANALYSIS_MODEL: backend.model || '' },
+        extractAnswer: (output) => output.trim()
+    });
+}
+
+// ---------- openai ----------
+
+// Streamed chat completion; deltas are forwarded as output, the concatenation is the answer
+function startOpenAI(backend, { prompt, onOutput, onError }) {
+    const controller = new AbortController();
+    const url = `${String(backend.url || DEFAULT_API_URL).replace(/\/+$/, '')}/chat/completions`;
+
+    const done = (async () => {
+        let answer = '';
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(backend.apiKey ? { Authorization: `Bearer ${backend.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model: backend.model || 'gpt-4o',
+                    messages: [{ role: 'user', content: prompt }],
+                    stream: true
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                throw new Error(`HTTP ${response.status} from ${url}: ${text.slice(0, 500)}`);
+            }
+
+            let buffer = '';
+            const handleLine = (line) => {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+                let json;
+                try { json = JSON.parse(data); } catch { return; }
+                const delta = json.choices?.[0]?.delta?.content ?? json.choices?.[0]?.message?.content ?? '';
+                if (delta) {
+                    answer += delta;
+                    onOutput(delta);
+                }
+            };
+            const contentType = response.headers.get('content-type') || '';
+            if (!contentType.includes('text/event-stream')) {
+                // Servers that ignore stream: true answer with a single completion
+                const json = await response.json();
+                answer = json.choices?.[0]?.message?.content ?? '';
+                onOutput(answer);
+            } else {
+                for await (const chunk of response.body) {
+                    buffer += chunk.toString();
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach(handleLine);
+                }
+                if (buffer) handleLine(buffer);
+            }
+            return { code: 0, output: answer, answer: answer.trim() };
+        } catch (error) {
+            if (error.name !== 'AbortError') onError(`${error.message}\n`);
+            return { code: 1, output: answer, answer: '', error };
+        }
+    })();
+
+    return { streams: [], kill: () => controller.abort(), done };
+}
+
+// ---------- stub ----------
+
+// Deterministic answer: the classification cycles with the prompt hash so every
+// classification path gets exercised; the same prompt always gives the same answer
+export function stubAnswer(prompt, mode = 'analyze') {
+    const text = String(prompt || '');
+    const hash = crypto.createHash('sha1').update(text).digest('hex');
+    const rule = (/^#\s+(.+)$/m.exec(text) || /\bRule:\s*(.+)$/m.exec(text))?.[1]?.trim() || 'unknown rule';
+    const status = /\b(VIOLATED|SANITY_FAILED|TIMEOUT|UNKNOWN|ERROR)\b/.exec(text)?.[1] || 'UNKNOWN';
+    if (mode === 'fix') {
+        return `Stub backend: no files changed for ${rule} (prompt ${hash.slice(0, 12)}).`;
+    }
+    const byte = parseInt(hash.slice(0, 2), 16);
+    return JSON.stringify({
+        classification: ANALYSIS_CLASSIFICATIONS[byte % ANALYSIS_CLASSIFICATIONS.length],
+        confidence: Math.round((0.5 + (byte / 255) * 0.5) * 100) / 100,
+        rootCause: `Stub analysis of ${rule} (${status}), prompt ${hash.slice(0, 12)}, ${text.length} characters.`,
+        affectedFiles: [],
+        fixes: [{ description: 'None, this answer comes from the stub backend.' }]
+    }, null, 2);
+}
+
+function startStub(backend, { prompt, mode, onOutput }) {
+    let killed = false;
+    const delay = Math.max(0, Number(backend.delayMs) || 0);
+    const done = new Promise((resolve) => {
+        setTimeout(() => {
+            if (killed) return resolve({ code: 1, output: '', answer: '' });
+            const answer = stubAnswer(prompt, mode);
+            onOutput(`${answer}\n`);
+            resolve({ code: 0, output: answer, answer });
+        }, delay);
+    });
+    return { streams: [], kill: () => { killed = true; }, done };
+}
+
+const STARTERS = { codex: startCodex, openai: startOpenAI, command: startCommand, stub: startStub };
+
+// Run one prompt on a backend (see the header for the task shape)
+export function startBackend(backend, { prompt, mode = 'analyze', cwd = '', detached = false, onOutput = () => { }, onError = () => { } }) {
+    if (!BACKEND_MODES.includes(mode)) throw new Error(`Unsupported backend mode: ${mode}`);
+    const start = STARTERS[backend.type];
+    if (!start) throw new Error(`Unsupported analysis backend: ${backend.type}`);
+    return start(backend, {
+        prompt: String(prompt || '').replace(/\0/g, ''),
+        mode,
+        cwd: String(cwd || '').trim(),
+        detached,
+        onOutput,
+        onError
+    });
+}
+
+// Repeated prompt after a malformed answer
+function retryPrompt(prompt, answer, errors) {
+    return `${prompt}
+
+Your previous answer could not be used: ${errors.join('; ')}.
+Previous answer (end):
+${String(answer || '').slice(-4000)}
+
+Answer again with only the JSON object described above.`;
+}
+
+// Analysis task with structured result (same task shape as startBackend); done resolves to
+//   { code, output, answer, error?, result, errors, text, retried }
+// result is the validated object (null if the answer stayed malformed after one retry, errors says why),
+// text the readable version of result, or the raw answer when there is none.
+// onRetry(errors) is called before the repeated prompt is sent. onStreams(streams) gets the streams of
+// every process started, the repeated prompt's included, so callers can apply backpressure to all of them.
+export function startAnalysis(backend, { onRetry = () => { }, onStreams = () => { }, ...options }) {
+    let current = startBackend(backend, { ...options, mode: 'analyze' });
+    let killed = false;
+    const streams = [...current.streams];
+    onStreams(current.streams);
+
+    const done = (async () => {
+        let outcome = await current.done;
+        if (outcome.code !== 0 || outcome.error) return { ...outcome, result: null, errors: [], text: outcome.answer, retried: false };
+        let parsed = parseAnalysisResult(outcome.answer);
+        let retried = false;
+        if (!parsed.result && !killed) {
+            retried = true;
+            onRetry(parsed.errors);
+            current = startBackend(backend, { ...options, mode: 'analyze', prompt: retryPrompt(options.prompt, outcome.answer, parsed.errors) });
+            streams.push(...current.streams);
+            onStreams(current.streams);
+            const second = await current.done;
+            if (second.code !== 0 || second.error) return { ...second, result: null, errors: parsed.errors, text: second.answer, retried };
+            outcome = second;
+            parsed = parseAnalysisResult(outcome.answer);
+        }
+        return {
+            ...outcome,
+            result: parsed.result,
+            errors: parsed.errors,
+            text: parsed.result ? formatAnalysisResult(parsed.result) : outcome.answer,
+            retried
+        };
+    })();
+
+    return {
+        get pid() { return current.pid; },
+        streams,
+        kill: (signal) => {
+            killed = true;
+            current.kill(signal);
+        },
+        done
+    };
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './run_store.mjs';
+import { validateAnalysisResult } from './shared/certora_analysis.mjs';
+
+// Content-addressed cache of structured analyses: <cacheDir>/<sha256>.json
+// The key covers the rule markdown, the analysis template text, the backend type and the model (plus the
+// command / API URL that identify command and openai backends), so the same counterexample imported again,
+// or still failing after a fix iteration, is answered without running the backend.
+// Only validated results are cached; a malformed answer is asked again next time.
+
+// Cache directory: CERTORA_ANALYSIS_CACHE_DIR or <dataDir>/analysis-cache
+export const ANALYSIS_CACHE_DIR = process.env.CERTORA_ANALYSIS_CACHE_DIR
+    ? path.resolve(process.env.CERTORA_ANALYSIS_CACHE_DIR)
+    : path.join(DATA_DIR, 'analysis-cache');
+
+// Bump when the prompt format or the result schema changes incompatibly
+const CACHE_VERSION = 1;
+
+export function analysisCacheKey({ markdown, template, backend }) {
+    const identity = [
+        CACHE_VERSION,
+        String(markdown || ''),
+        String(template || ''),
+        backend.type,
+        backend.model || '',
+        backend.type === 'command' ? backend.command || '' : '',
+        backend.type === 'openai' ? backend.url || '' : ''
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+}
+
+const entryFile = (key) => {
+    if (!/^[a-f0-9]{64}$/.test(String(key))) throw new Error(`Invalid analysis cache key: ${key}`);
+    return path.join(ANALYSIS_CACHE_DIR, `${key}.json`);
+};
+
+// { key, createdAt, backend, text, result } or null (missing or unreadable entry)
+export function readCachedAnalysis(key) {
+    let entry;
+    try { entry = JSON.parse(fs.readFileSync(entryFile(key), 'utf8')); } catch { return null; }
+    const { result } = validateAnalysisResult(entry?.result);
+    if (!result || typeof entry.text !== 'string') return null;
+    return { ...entry, result };
+}
+
+export function writeCachedAnalysis(key, { text, result, backend }) {
+    const file = entryFile(key);
+    fs.mkdirSync(ANALYSIS_CACHE_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ key, createdAt: new Date().toISOString(), backend, text, result }));
+    fs.renameSync(tmp, file);
+}
+
+function cacheFiles() {
+    try {
+        return fs.readdirSync(ANALYSIS_CACHE_DIR).filter(name => /^[a-f0-9]{64}\.json$/.test(name));
+    } catch {
+        return [];
+    }
+}
+
+export function analysisCacheStats() {
+    let bytes = 0;
+    const files = cacheFiles();
+    for (const name of files) {
+        try { bytes += fs.statSync(path.join(ANALYSIS_CACHE_DIR, name)).size; } catch { }
+    }
+    return { dir: ANALYSIS_CACHE_DIR, entries: files.length, bytes };
+}
+
+// Remove every entry; returns how many were removed
+export function clearAnalysisCache() {
+    const files = cacheFiles();
+    for (const name of files) fs.rmSync(path.join(ANALYSIS_CACHE_DIR, name), { force: true });
+    return files.length;
+}
@@ -1,16 +1,34 @@
-import { chromium } from 'playwright';
 import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pathToFileURL, fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import http from 'http';
+import { saveRun, listRuns, loadRun, deleteRun, saveAnnotations, saveRuleContent } from './run_store.mjs';
+import { createHttpClient, resolveHttpMode, liveHttp } from './http_fixtures.mjs';
+import { buildRuleReports, convertToMarkdown, collectSourceLocations, sourceLocationKey } from './shared/certora_markdown.mjs';
+import { buildSarifLog, annotationsByRule, buildJUnitXml } from './shared/certora_export.mjs';
+import { ANALYSIS_RESPONSE_FORMAT, validateAnalysisResult } from './shared/certora_analysis.mjs';
+import {
+    resolveBackend, startBackend, startAnalysis, backendLabel, describeBackend, defaultBackendConfig, BACKEND_TYPES, BACKEND_MODES, SANDBOX_MODES, REASONING_EFFORTS
+} from './analysis_backends.mjs';
+import { SETTINGS_FILE, FILE_ONLY_FIELDS, loadSettings, saveSettings, profileBackendConfig, requestBackend } from './settings_store.mjs';
+import {
+    PROMPT_TEMPLATES, analysisTemplateName, expandTemplate, renderPrompt, renderTemplate, listTemplates, saveTemplate, deleteTemplate
+} from './prompt_templates.mjs';
+import {
+    analysisCacheKey, readCachedAnalysis, writeCachedAnalysis, analysisCacheStats, clearAnalysisCache
+} from './analysis_cache.mjs';
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '100mb' }));  // Increase request body size limit to 100MB
 app.use(express.urlencoded({ limit: '100mb', extended: true })); // Also increase form data limit
+// Modules shared with certora_analyzer.html (markdown generation)
+app.use('/shared', express.static(path.join(path.dirname(fileURLToPath(import.meta.url)), 'shared')));
 
 // Track the currently running child process (Codex or certoraRun)
 let currentChild = null;
@@ -25,51 +43,6 @@ let resumeState = null;
 // In-memory skip status store: ruleName -> boolean (optional, updated via API)
 const skipStatusMap = Object.create(null);
 
-// Process Codex output, extract only the final answer
-function extractCodexAnswer(fullOutput) {
-    // Trace back from the last "tokens used:" to find the most recent non-empty candidate block
-    const lines = fullOutput.split('\n');
-    const tokenIdxs = [];
-    for (let i = 0; i < lines.length; i++) {
-        if (/tokens used:/i.test(lines[i])) tokenIdxs.push(i);
-    }
-
-    const isMetaLine = (l) => (
-        /^\[[\d\-T:\.Z]+\]/.test(l) ||
-        /\] (exec|bash -lc|codex|thinking)\b/i.test(l) ||
-        /workdir:|model:|provider:|approval:|sandbox:|reasoning/i.test(l) ||
-        /OpenAI Codex/i.test(l)
-    );
-
-    for (let k = tokenIdxs.length - 1; k >= 0; k--) {
-        const t = tokenIdxs[k];
-        // Find the most recent timestamp line before t
-        let s = -1;
-        for (let i = t - 1; i >= 0; i--) {
-            if (/^\[[\d\-T:\.Z]+\]/.test(lines[i])) { s = i; break; }
-        }
-        const slice = lines.slice(s + 1, t);
-        const filtered = slice.filter(l => !isMetaLine(l)).join('\n').trim();
-        if (filtered) return filtered;
-    }
-
-    // Try to extract from "Final answer:" marker
-    const finalIdx = lines.findIndex(l => /^(Final answer|Final answer)\s*:/i.test(l));
-    if (finalIdx !== -1) {
-        return lines.slice(finalIdx + 1).join('\n').trim();
-    }
-
-    // Fallback: start from the last "User instructions:" and filter obvious system lines
-    let userInstrIdx = -1;
-    for (let i = lines.length - 1; i >= 0; i--) {
-        if (lines[i].includes('User instructions:')) { userInstrIdx = i; break; }
-    }
-    let candidate = (userInstrIdx >= 0 ? lines.slice(userInstrIdx + 1) : lines)
-        .filter(l => !isMetaLine(l) && !/tokens used:/i.test(l))
-        .join('\n').trim();
-    return candidate || fullOutput;
-}
-
 // Filter Codex output, remove prompt echo and system information
 function filterCodexOutput(output) {
     const lines = output.split('\n');
@@ -114,7 +87,18 @@ function filterCodexOutput(output) {
     return filteredLines.join('\n');
 }
 
+// Local certoraRun output: accept file:// URLs and absolute directory paths
+function isLocalSource(urlStr) {
+    const s = String(urlStr || '').trim();
+    return s.startsWith('file://') || path.isAbsolute(s);
+}
+
 function parseRunInfo(urlStr) {
+    if (isLocalSource(urlStr)) {
+        const s = String(urlStr).trim();
+        const outputDir = s.startsWith('file://') ? decodeURIComponent(new URL(s).pathname) : path.resolve(s);
+        return { local: true, origin: 'file://', outputDir, runId: path.basename(outputDir), outputId: '', anonymousKey: '' };
+    }
     const u = new URL(urlStr);
     const parts = u.pathname.split('/').filter(Boolean);
     let runId, outputId;
@@ -154,7 +138,232 @@ function getProgressRoots(progressJson) {
     return roots;
 }
 
-function collectFailedRuleOutputs(node, runInfo, results = [], currentPath = []) {
+// Scan a local certoraRun output folder (e.g. emv-*/Reports) for progress JSON and rule_output_N.json files
+function scanLocalOutputDir(outputDir, maxDepth = 6) {
+    const progressFiles = [];
+    const ruleOutputFiles = [];
+
+    const walk = (dir, depth = 0) => {
+        if (depth > maxDepth) return;
+        let entries = [];
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+        for (const ent of entries) {
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) {
+                if (ent.name === 'node_modules' || ent.name === '.git') continue;
+                walk(full, depth + 1);
+            } else if (ent.isFile() && ent.name.endsWith('.json')) {
+                if (/^rule_output_\d+\.json$/.test(ent.name)) {
+                    ruleOutputFiles.push(full);
+                } else if (/progress|treeViewStatus/i.test(ent.name)) {
+                    let mtimeMs = 0;
+                    try { mtimeMs = fs.statSync(full).mtimeMs; } catch { }
+                    progressFiles.push({ fullPath: full, mtimeMs });
+                }
+            }
+        }
+    };
+
+    walk(outputDir);
+    return { progressFiles, ruleOutputFiles };
+}
+
+// Load progress data from a local output folder; fills runInfo.reportDir / runInfo.ruleOutputs for rule lookup
+function loadLocalProgress(runInfo) {
+    if (!fs.existsSync(runInfo.outputDir)) {
+        throw new Error(`Local output directory not found: ${runInfo.outputDir}`);
+    }
+    const { progressFiles, ruleOutputFiles } = scanLocalOutputDir(runInfo.outputDir);
+
+    // Prefer the most recently written progress file that actually contains rules
+    progressFiles.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const file of progressFiles) {
+        let json;
+        try { json = JSON.parse(fs.readFileSync(file.fullPath, 'utf8')); } catch { continue; }
+        if (getProgressRoots(json).length === 0) continue;
+
+        // Rule outputs belong to the enclosing Reports directory of the chosen progress file
+        let reportDir = path.dirname(file.fullPath);
+        for (let d = reportDir; d.startsWith(runInfo.outputDir); d = path.dirname(d)) {
+            if (path.basename(d) === 'Reports') { reportDir = d; break; }
+            if (d === path.dirname(d)) break;
+        }
+
+        const ruleOutputs = {};
+        for (const full of ruleOutputFiles) {
+            const name = path.basename(full);
+            if (full.startsWith(reportDir + path.sep) && !ruleOutputs[name]) ruleOutputs[name] = full;
+        }
+
+        runInfo.progressFile = file.fullPath;
+        runInfo.reportDir = reportDir;
+        runInfo.ruleOutputs = ruleOutputs;
+        return json;
+    }
+    return null;
+}
+
+function readLocalRuleOutput(rule) {
+    return JSON.parse(fs.readFileSync(rule.filePath, 'utf8'));
+}
+
+// Build where a rule_output_N.json can be loaded from: remote result URL or local file
+function ruleOutputLocation(runInfo, outputFile) {
+    if (runInfo.local) {
+        const filePath = (runInfo.ruleOutputs && runInfo.ruleOutputs[outputFile])
+            || path.join(runInfo.reportDir || runInfo.outputDir, outputFile);
+        return { url: pathToFileURL(filePath).href, filePath };
+    }
+    const baseUrl = `${runInfo.origin}/result/${runInfo.runId}/${runInfo.outputId}`;
+    const params = new URLSearchParams();
+    if (runInfo.anonymousKey) {
+        params.append('anonymousKey', runInfo.anonymousKey);
+    }
+    params.append('output', outputFile);
+    return { url: `${baseUrl}?${params.toString()}` };
+}
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36';
+
+// Progress endpoints requested by the prover web app, tried in order
+const PROGRESS_ENDPOINTS = ['progress', 'verification-progress'];
+
+function isProgressJson(json) {
+    return !!json && typeof json === 'object' && (json.verificationProgress != null || json.rules != null || getProgressRoots(json).length > 0);
+}
+
+function progressUrlFor(runInfo, endpoint = PROGRESS_ENDPOINTS[0]) {
+    const params = new URLSearchParams();
+    if (runInfo.anonymousKey) params.append('anonymousKey', runInfo.anonymousKey);
+    const query = params.toString();
+    return `${runInfo.origin}/${endpoint}/${runInfo.runId}/${runInfo.outputId}${query ? `?${query}` : ''}`;
+}
+
+// Fetch progress JSON directly over HTTP using runId/outputId/anonymousKey from parseRunInfo
+async function fetchProgressDirect(runInfo, timeoutMs = 30000, http = liveHttp) {
+    if (!runInfo.runId || !runInfo.outputId) {
+        throw new Error('URL does not contain run and output ids');
+    }
+    const errors = [];
+    for (const endpoint of PROGRESS_ENDPOINTS) {
+        const progressUrl = progressUrlFor(runInfo, endpoint);
+        try {
+            const resp = await http.fetch(progressUrl, {
+                headers: { 'Accept': 'application/json', 'User-Agent': BROWSER_USER_AGENT },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            const json = parseMaybeJson(await resp.text());
+            if (isProgressJson(json)) return json;
+            throw new Error('response is not progress data');
+        } catch (e) {
+            errors.push(`${endpoint}: ${e.message}`);
+        }
+    }
+    throw new Error(errors.join('; '));
+}
+
+// Fallback: open the page in headless Chromium and capture the progress response it loads
+async function fetchProgressWithBrowser(url, runInfo) {
+    // Imported lazily so the server runs without Playwright installed
+    const { chromium } = await import('playwright');
+    const browser = await chromium.launch({ headless: true });
+    let progressData = null;
+    try {
+        const context = await browser.newContext({ userAgent: BROWSER_USER_AGENT });
+        const page = await context.newPage();
+
+        page.on('response', async (response) => {
+            try {
+                const resUrl = response.url();
+                const status = response.status();
+                if (status < 200 || status >= 300) return;
+
+                const ct = (response.headers()['content-type'] || '').toLowerCase();
+                if (ct.includes('application/json') || ct.includes('text/json')) {
+                    if (resUrl.includes('progress') || resUrl.includes(runInfo.outputId)) {
+                        const body = await response.text();
+                        try {
+                            const json = JSON.parse(body);
+                            if (json.verificationProgress || json.rules) {
+                                progressData = json;
+                            }
+                        } catch { }
+                    }
+                }
+            } catch { }
+        });
+
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => { });
+    } finally {
+        await browser.close().catch(() => { });
+    }
+    return progressData;
+}
+
+// Progress data through Playwright; what the browser captured is recorded under the progress URL
+async function loadProgressWithBrowser(url, runInfo, log = console.log, http = liveHttp) {
+    const progressData = await fetchProgressWithBrowser(url, runInfo);
+    if (progressData) {
+        log('Found progress data');
+        // Browser traffic bypasses the HTTP client
+        http.record(progressUrlFor(runInfo), progressData);
+    }
+    return progressData;
+}
+
+// Resolve progress data for a run: local folder, direct HTTP, then Playwright as last resort
+// (http: client from http_fixtures.mjs; in replay mode only recorded fixtures are used).
+// browserFallback: false throws the direct fetch error instead of launching the browser.
+async function loadProgressData(url, runInfo, log = console.log, http = liveHttp, { browserFallback = true } = {}) {
+    if (runInfo.local) {
+        log(`Loading local output: ${runInfo.outputDir}`);
+        const progressData = loadLocalProgress(runInfo);
+        if (progressData) log(`Found progress data: ${runInfo.progressFile}`);
+        return progressData;
+    }
+
+    try {
+        log('Fetching progress data...');
+        const progressData = await fetchProgressDirect(runInfo, 30000, http);
+        log('Found progress data');
+        return progressData;
+    } catch (e) {
+        if (http.mode === 'replay') {
+            log(`No recorded progress data (${e.message})`);
+            return null;
+        }
+        if (!browserFallback) throw e;
+        log(`Direct progress fetch failed (${e.message}), falling back to browser...`);
+    }
+
+    return loadProgressWithBrowser(url, runInfo, log, http);
+}
+
+// Rule statuses that can be collected from the progress tree (default: VIOLATED and SANITY_FAILED)
+const SUPPORTED_RULE_STATUSES = ['VIOLATED', 'SANITY_FAILED', 'TIMEOUT', 'UNKNOWN', 'ERROR'];
+const DEFAULT_RULE_STATUSES = ['VIOLATED', 'SANITY_FAILED'];
+
+function normalizeStatuses(statuses) {
+    const list = (Array.isArray(statuses) ? statuses : String(statuses || '').split(','))
+        .map(s => String(s || '').trim().toUpperCase())
+        .filter(s => SUPPORTED_RULE_STATUSES.includes(s));
+    return list.length > 0 ? Array.from(new Set(list)) : DEFAULT_RULE_STATUSES.slice();
+}
+
+// Progress node fields worth showing for rules without a rule_output file (e.g. TIMEOUT)
+function pickNodeInfo(node) {
+    const info = {};
+    for (const [key, value] of Object.entries(node || {})) {
+        if (key === 'children' || key === 'output' || key === 'name' || key === 'status') continue;
+        if (value == null || typeof value === 'object' && !Array.isArray(value)) continue;
+        info[key] = value;
+    }
+    return info;
+}
+
+function collectFailedRuleOutputs(node, runInfo, results = [], currentPath = [], statuses = DEFAULT_RULE_STATUSES) {
     if (!node) return results;
 
     const name = node.name || '';
@@ -163,46 +372,549 @@ function collectFailedRuleOutputs(node, runInfo, results = [], currentPath = [])
     const children = Array.isArray(node.children) ? node.children : [];
     const nextPath = currentPath.concat(name);
 
-    // Original logic: collect all non-VERIFIED rules
-    // if (status && status !== 'VERIFIED' && output.length > 0) {
-
-    // New logic: only collect VIOLATED and SANITY_FAILED rules
-    if (status && (status === 'VIOLATED' || status === 'SANITY_FAILED') && output.length > 0) {
-        for (const outputFile of output) {
-            if (typeof outputFile === 'string' && /^rule_output_\d+\.json$/.test(outputFile)) {
-                const baseUrl = `${runInfo.origin}/result/${runInfo.runId}/${runInfo.outputId}`;
-                const params = new URLSearchParams();
-                if (runInfo.anonymousKey) {
-                    params.append('anonymousKey', runInfo.anonymousKey);
-                }
-                params.append('output', outputFile);
-                const fullUrl = `${baseUrl}?${params.toString()}`;
-
-                results.push({
-                    ruleName: nextPath.join(' > '),
-                    status: status,
-                    outputFile: outputFile,
-                    url: fullUrl
-                });
-            }
+    if (status && statuses.includes(status)) {
+        const outputFiles = output.filter(f => typeof f === 'string' && /^rule_output_\d+\.json$/.test(f));
+        for (const outputFile of outputFiles) {
+            results.push({
+                ruleName: nextPath.join(' > '),
+                status: status,
+                outputFile: outputFile,
+                ...ruleOutputLocation(runInfo, outputFile)
+            });
+        }
+        // TIMEOUT/UNKNOWN/ERROR leaves often have no rule output; keep them with a synthetic id
+        if (outputFiles.length === 0 && children.length === 0 && status !== 'VIOLATED' && status !== 'SANITY_FAILED') {
+            results.push({
+                ruleName: nextPath.join(' > '),
+                status: status,
+                outputFile: `no_output_${nextPath.join('_').replace(/[^a-zA-Z0-9]/g, '_')}`,
+                noOutput: true,
+                nodeInfo: pickNodeInfo(node)
+            });
+        }
+    }
+
+    for (const child of children) {
+        collectFailedRuleOutputs(child, runInfo, results, nextPath, statuses);
+    }
+
+    return results;
+}
+
+// Single attempt to read one rule_output file (local path or remote URL)
+async function fetchRuleOutput(rule, timeoutMs = 30000, http = liveHttp) {
+    if (rule.filePath) return readLocalRuleOutput(rule);
+    const response = await http.fetch(rule.url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+    return await response.json();
+}
+
+// Rule JSON fetching: bounded retries with exponential backoff and a concurrency cap
+const RULE_FETCH_DEFAULTS = { maxAttempts: 4, baseDelayMs: 1000, maxDelayMs: 15000, concurrency: 4, timeoutMs: 30000 };
+
+function normalizeFetchOptions(options = {}) {
+    const pick = (key, min, max) => {
+        const n = Number(options[key]);
+        return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.floor(n))) : RULE_FETCH_DEFAULTS[key];
+    };
+    return {
+        maxAttempts: pick('maxAttempts', 1, 20),
+        baseDelayMs: pick('baseDelayMs', 0, 60000),
+        maxDelayMs: pick('maxDelayMs', 0, 300000),
+        concurrency: pick('concurrency', 1, 32),
+        timeoutMs: pick('timeoutMs', 1000, 300000),
+        // live / record / replay (see http_fixtures.mjs)
+        http: createHttpClient({ mode: resolveHttpMode(options.httpMode) })
+    };
+}
+
+// Fetch options of a request; invalid options (e.g. an unknown httpMode) are answered with 400 and null is returned
+function requestFetchOptions(params, res) {
+    try {
+        return normalizeFetchOptions(params);
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+        return null;
+    }
+}
+
+// 4xx responses other than 408/429 will not go away by retrying (e.g. expired anonymousKey, 404)
+function isRetryableFetchError(e) {
+    const status = e && e.status;
+    return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+}
+
+// Fetch one rule output; on final failure the rule is returned with content: null and an error message
+async function fetchRuleOutputWithRetry(rule, options = RULE_FETCH_DEFAULTS, log = console.log) {
+    if (rule.noOutput) return { ...rule, content: null };
+
+    let lastError = null;
+    let attempt = 0;
+    while (attempt < options.maxAttempts) {
+        attempt++;
+        try {
+            const content = await fetchRuleOutput(rule, options.timeoutMs, options.http);
+            if (content && typeof content === 'object') return { ...rule, content };
+            lastError = new Error('Invalid JSON content');
+        } catch (e) {
+            lastError = e;
+        }
+        // Local files and recorded fixtures either exist or not; retrying would never succeed
+        if (rule.filePath || options.http?.mode === 'replay' || !isRetryableFetchError(lastError) || attempt >= options.maxAttempts) break;
+
+        const delayMs = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+        log(`Failed to fetch ${rule.outputFile} (attempt ${attempt}/${options.maxAttempts}): ${lastError.message}, retrying in ${delayMs}ms...`);
+        await new Promise(r => setTimeout(r, delayMs));
+    }
+
+    console.warn(`Giving up on ${rule.outputFile} after ${attempt} attempt(s): ${lastError.message}`);
+    return { ...rule, content: null, error: lastError.message, attempts: attempt };
+}
+
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
         }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Save a fetched run to the local run store; failures must not break the import itself
+function persistRun(run) {
+    try {
+        return saveRun(run);
+    } catch (e) {
+        console.warn(`Failed to persist run: ${e.message}`);
+        return undefined;
+    }
+}
+
+// ---------- Run comparison ----------
+
+// Statuses that count as passing / failing when comparing two runs
+const PASSING_RULE_STATUSES = ['VERIFIED', 'SUCCESS'];
+
+// Walk the progress tree and record the status of every node, keyed by rule path
+function collectRuleStatuses(node, results = new Map(), currentPath = []) {
+    if (!node) return results;
+
+    const name = node.name || '';
+    const status = (node.status || '').toUpperCase();
+    const output = Array.isArray(node.output) ? node.output : [];
+    const children = Array.isArray(node.children) ? node.children : [];
+    const nextPath = currentPath.concat(name);
+
+    if (status) {
+        results.set(nextPath.join(' > '), {
+            ruleName: nextPath.join(' > '),
+            status,
+            outputFiles: output.filter(f => typeof f === 'string' && /^rule_output_\d+\.json$/.test(f))
+        });
     }
 
     for (const child of children) {
-        collectFailedRuleOutputs(child, runInfo, results, nextPath);
+        collectRuleStatuses(child, results, nextPath);
     }
 
     return results;
 }
 
+// Statuses of the leaf rules of a progress tree: parent nodes (invariants, parametric rules, sanity
+// groups) only summarize their children and would count them twice
+function leafRuleStatuses(progressData) {
+    const statuses = new Map();
+    for (const root of getProgressRoots(progressData)) collectRuleStatuses(root, statuses);
+    for (const ruleName of Array.from(statuses.keys())) {
+        const parts = ruleName.split(' > ');
+        for (let i = 1; i < parts.length; i++) statuses.delete(parts.slice(0, i).join(' > '));
+    }
+    return statuses;
+}
+
+// Rule x method matrix of a progress tree: parametric rules and invariants expand into one child per
+// method (possibly below "Induction step: ..." nodes); every status is kept, including VERIFIED children.
+// Induction base / constructor checks become a "constructor" column. Rules without method children are left out.
+// Returns { methods, rules: [{ ruleName, status, cells: { [method]: { ruleName, status, outputFiles } } }] }
+const METHOD_NODE_PATTERN = /^[\w$.]+\(.*\)$/;
+const CONSTRUCTOR_NODE_PATTERN = /induction base|constructor/i;
+
+function matrixStatusRank(status) {
+    const index = SUPPORTED_RULE_STATUSES.indexOf(status);
+    return index === -1 ? SUPPORTED_RULE_STATUSES.length : index;
+}
+
+function buildRuleMethodMatrix(progressData) {
+    const methods = new Set();
+    const rules = [];
+
+    const outputFilesBelow = (node, files = []) => {
+        for (const f of Array.isArray(node.output) ? node.output : []) {
+            if (typeof f === 'string' && /^rule_output_\d+\.json$/.test(f)) files.push(f);
+        }
+        for (const child of Array.isArray(node.children) ? node.children : []) outputFilesBelow(child, files);
+        return files;
+    };
+
+    for (const root of getProgressRoots(progressData)) {
+        if (!root?.name) continue;
+        // No prototype: 'constructor' is one of the method keys
+        const cells = Object.create(null);
+        const visit = (node, path) => {
+            for (const child of Array.isArray(node.children) ? node.children : []) {
+                const name = String(child?.name || '').trim();
+                const childPath = path.concat(name);
+                const method = METHOD_NODE_PATTERN.test(name) ? name
+                    : CONSTRUCTOR_NODE_PATTERN.test(name) ? 'constructor' : null;
+                if (!method) {
+                    visit(child, childPath);
+                    continue;
+                }
+                const cell = {
+                    ruleName: childPath.join(' > '),
+                    status: String(child.status || '').toUpperCase(),
+                    outputFiles: outputFilesBelow(child)
+                };
+                // The same method can appear under several induction steps; keep the worst status
+                const previous = cells[method];
+                if (!previous || matrixStatusRank(cell.status) < matrixStatusRank(previous.status)) {
+                    cells[method] = cell;
+                }
+                methods.add(method);
+            }
+        };
+        visit(root, [root.name]);
+        if (Object.keys(cells).length === 0) continue;
+        rules.push({ ruleName: root.name, status: String(root.status || '').toUpperCase(), cells });
+    }
+
+    const sorted = Array.from(methods).sort((a, b) =>
+        (a === 'constructor' ? -1 : b === 'constructor' ? 1 : a.localeCompare(b)));
+    return { methods: sorted, rules };
+}
+
+function classifyRuleChange(baseStatus, headStatus) {
+    const isFailing = (s) => SUPPORTED_RULE_STATUSES.includes(s);
+    const isPassing = (s) => PASSING_RULE_STATUSES.includes(s);
+    if (!baseStatus) return 'added';
+    if (!headStatus) return 'removed';
+    if (isPassing(baseStatus) && isFailing(headStatus)) return 'newly_failing';
+    if (isFailing(baseStatus) && isPassing(headStatus)) return 'newly_passing';
+    if (baseStatus !== headStatus) return 'changed_status';
+    if (isFailing(baseStatus)) return 'still_failing';
+    return 'unchanged';
+}
+
+// Fingerprint of a counterexample: call trace and variables, ignoring anything run-specific
+function counterexampleHash(content) {
+    if (!content || typeof content !== 'object') return null;
+    const relevant = content.callTrace != null || content.variables != null
+        ? { callTrace: content.callTrace ?? null, variables: content.variables ?? null }
+        : content;
+    return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex');
+}
+
+// A compare side is a stored run key, a Certora URL / local output folder, or { runKey } / { url }
+async function resolveCompareSide(side, log = console.log) {
+    const spec = typeof side === 'string' ? side.trim() : side;
+    if (!spec) throw new Error('Missing run to compare');
+
+    let runKey = typeof spec === 'object' ? spec.runKey : null;
+    const url = typeof spec === 'object' ? (spec.url || spec.localPath) : null;
+    if (!runKey && !url && loadRun(spec)) runKey = spec;
+
+    if (runKey) {
+        const run = loadRun(runKey, { includeProgress: true });
+        if (!run) throw new Error(`Stored run not found: ${runKey}`);
+        if (!run.progressData) throw new Error(`Stored run has no progress data: ${runKey}`);
+        const contents = new Map(run.rules.filter(r => r.content).map(r => [r.outputFile, r.content]));
+        return {
+            label: runKey,
+            runKey,
+            url: run.url,
+            runInfo: run.runInfo,
+            progressData: run.progressData,
+            loadContent: async (outputFile) => contents.get(outputFile) ?? null
+        };
+    }
+
+    const source = url || spec;
+    const runInfo = parseRunInfo(source);
+    const progressData = await loadProgressData(source, runInfo, log);
+    if (!progressData) throw new Error(`Verification data not found: ${source}`);
+    return {
+        label: runInfo.local ? runInfo.outputDir : `${runInfo.runId}/${runInfo.outputId}`,
+        url: source,
+        runInfo,
+        progressData,
+        loadContent: async (outputFile) => {
+            const location = ruleOutputLocation(runInfo, outputFile);
+            if (!location.url && !location.filePath) return null;
+            return await fetchRuleOutput({ outputFile, ...location });
+        }
+    };
+}
+
+async function hashCounterexamples(side, outputFiles) {
+    const hashes = [];
+    for (const outputFile of outputFiles) {
+        let content = null;
+        try {
+            content = await side.loadContent(outputFile);
+        } catch (e) {
+            console.warn(`Failed to load ${outputFile} of ${side.label}: ${e.message}`);
+        }
+        const hash = counterexampleHash(content);
+        if (!hash) return null;
+        hashes.push(hash);
+    }
+    return hashes.sort();
+}
+
+// Compare two runs rule by rule (leaf rules only, see leafRuleStatuses)
+async function compareRuns(baseSpec, headSpec, { compareCounterexamples = true, log = console.log } = {}) {
+    const base = await resolveCompareSide(baseSpec, log);
+    const head = await resolveCompareSide(headSpec, log);
+
+    const baseRules = leafRuleStatuses(base.progressData);
+    const headRules = leafRuleStatuses(head.progressData);
+
+    const names = Array.from(new Set([...baseRules.keys(), ...headRules.keys()]));
+    const rules = [];
+    for (const ruleName of names) {
+        const b = baseRules.get(ruleName);
+        const h = headRules.get(ruleName);
+        const entry = {
+            ruleName,
+            category: classifyRuleChange(b?.status, h?.status),
+            baseStatus: b?.status || null,
+            headStatus: h?.status || null,
+            baseOutputFiles: b?.outputFiles || [],
+            headOutputFiles: h?.outputFiles || []
+        };
+        if (entry.category === 'still_failing') {
+            // null: could not be determined (no rule output on one side)
+            entry.counterexampleChanged = null;
+            if (compareCounterexamples && b.outputFiles.length > 0 && h.outputFiles.length > 0) {
+                const baseHashes = await hashCounterexamples(base, b.outputFiles);
+                const headHashes = await hashCounterexamples(head, h.outputFiles);
+                if (baseHashes && headHashes) {
+                    entry.counterexampleChanged = JSON.stringify(baseHashes) !== JSON.stringify(headHashes);
+                }
+            }
+        }
+        rules.push(entry);
+    }
+
+    const summary = {};
+    for (const rule of rules) summary[rule.category] = (summary[rule.category] || 0) + 1;
+
+    const describe = (side) => ({ label: side.label, runKey: side.runKey, url: side.url });
+    return { base: describe(base), head: describe(head), summary, rules };
+}
+
+// Collect, deduplicate and sort the rules to import from a progress tree
+function collectRulesFromProgress(progressData, runInfo, statuses) {
+    const failedRules = [];
+    for (const root of getProgressRoots(progressData)) {
+        collectFailedRuleOutputs(root, runInfo, failedRules, [], statuses);
+    }
+
+    // Deduplicate
+    const uniqueRules = new Map();
+    for (const rule of failedRules) {
+        if (!uniqueRules.has(rule.outputFile)) {
+            uniqueRules.set(rule.outputFile, rule);
+        }
+    }
+
+    // Rules without an output file (synthetic ids) go last
+    return Array.from(uniqueRules.values()).sort((a, b) => {
+        if (a.noOutput !== b.noOutput) return a.noOutput ? 1 : -1;
+        const numA = parseInt(a.outputFile.match(/\d+/)?.[0] || '0');
+        const numB = parseInt(b.outputFile.match(/\d+/)?.[0] || '0');
+        return numA - numB;
+    });
+}
+
+// Import pipeline shared by /analyze-and-fetch and /analyze-and-fetch-stream.
+// onProgress receives { stage, message, current?, total? } with stage one of
+// 'loading', 'page-loaded', 'rules-found', 'rule-fetched', 'retry'.
+// Returns null when no progress data could be found.
+async function runFetchPipeline({ url, statuses, fetchOptions, persist = true, onProgress = () => { } }) {
+    const runInfo = parseRunInfo(url);
+    const progressData = await loadProgressData(url, runInfo, (message) => onProgress({ stage: 'loading', message }), fetchOptions.http);
+    if (!progressData) return null;
+    onProgress({ stage: 'page-loaded', message: runInfo.local ? `Loaded ${runInfo.progressFile}` : 'Progress data loaded' });
+
+    const rules = collectRulesFromProgress(progressData, runInfo, statuses);
+    const total = rules.length;
+    onProgress({ stage: 'rules-found', current: 0, total, message: `Found ${total} rules to analyze (${statuses.join(', ')}), fetching JSON content...` });
+
+    let fetched = 0;
+    const results = await mapWithConcurrency(rules, fetchOptions.concurrency, async (rule) => {
+        const result = await fetchRuleOutputWithRetry(rule, fetchOptions, (message) => onProgress({ stage: 'retry', message }));
+        fetched++;
+        onProgress({
+            stage: 'rule-fetched',
+            current: fetched,
+            total,
+            outputFile: rule.outputFile,
+            error: result.error,
+            message: result.error
+                ? `Failed to fetch ${rule.outputFile} (${fetched}/${total}): ${result.error}`
+                : `Fetched ${rule.noOutput ? rule.ruleName : rule.outputFile} (${fetched}/${total})`
+        });
+        return result;
+    });
+    const failedFetches = results.filter(r => r.error).length;
+
+    const runKey = persist ? persistRun({ url, runInfo, statuses, progressData, rules: results }) : undefined;
+
+    return {
+        url,
+        runInfo,
+        runKey,
+        statuses,
+        timestamp: new Date().toISOString(),
+        totalRules: results.length,
+        failedFetches,
+        rules: results
+    };
+}
+
+// ---------- Watch mode ----------
+
+// Statuses of rules the prover has finished with; anything else (RUNNING, PENDING, ...) means the job is still going
+const FINAL_RULE_STATUSES = [...SUPPORTED_RULE_STATUSES, ...PASSING_RULE_STATUSES];
+
+const WATCH_DEFAULTS = { intervalMs: 30000, maxDurationMs: 6 * 60 * 60 * 1000 };
+
+// Polls fetch progress directly; the browser is only tried after `afterFailures` failed polls in a row,
+// then at most once per backoff window (doubling up to maxMs) until a direct fetch works again
+const WATCH_BROWSER_BACKOFF = { afterFailures: 3, initialMs: 5 * 60 * 1000, maxMs: 60 * 60 * 1000 };
+
+// Poll a (possibly still running) job until every rule is final.
+// onEvent receives { type: 'poll' | 'transition' | 'rules' | 'finished', ... }; rules with new
+// rule outputs are fetched as soon as they appear. Returns the same shape as runFetchPipeline.
+async function watchRun({ url, statuses, fetchOptions, intervalMs, maxDurationMs, persist = true, isCancelled = () => false, onEvent = () => { } }) {
+    const runInfo = parseRunInfo(url);
+    const knownStatuses = new Map();
+    const imported = new Map(); // outputFile -> rule with content
+    const startedAt = Date.now();
+    let progressData = null;
+    let runKey;
+    let poll = 0;
+    let directFailures = 0;
+    let browserBackoffMs = WATCH_BROWSER_BACKOFF.initialMs;
+    let nextBrowserAt = 0;
+
+    while (!isCancelled()) {
+        poll++;
+        try {
+            progressData = await loadProgressData(url, runInfo, () => { }, fetchOptions.http, { browserFallback: false });
+            directFailures = 0;
+            browserBackoffMs = WATCH_BROWSER_BACKOFF.initialMs;
+            nextBrowserAt = 0;
+        } catch (e) {
+            directFailures++;
+            if (directFailures >= WATCH_BROWSER_BACKOFF.afterFailures && Date.now() >= nextBrowserAt) {
+                nextBrowserAt = Date.now() + browserBackoffMs;
+                browserBackoffMs = Math.min(WATCH_BROWSER_BACKOFF.maxMs, browserBackoffMs * 2);
+                onEvent({ type: 'poll', poll, error: e.message, message: `Poll ${poll}: direct fetch failed ${directFailures} times (${e.message}), trying the browser` });
+                try {
+                    progressData = await loadProgressWithBrowser(url, runInfo, () => { }, fetchOptions.http) || progressData;
+                } catch (browserError) {
+                    onEvent({ type: 'poll', poll, error: browserError.message, message: `Poll ${poll} failed: ${browserError.message}` });
+                }
+            } else {
+                onEvent({ type: 'poll', poll, error: e.message, message: `Poll ${poll} failed: ${e.message}` });
+            }
+        }
+
+        if (progressData) {
+            const current = new Map();
+            for (const root of getProgressRoots(progressData)) collectRuleStatuses(root, current);
+
+            for (const [ruleName, rule] of current) {
+                const from = knownStatuses.get(ruleName) || null;
+                if (from !== rule.status) {
+                    onEvent({ type: 'transition', ruleName, from, to: rule.status, message: `${ruleName}: ${from || 'NEW'} → ${rule.status}` });
+                }
+                knownStatuses.set(ruleName, rule.status);
+            }
+
+            // Import counterexamples that appeared since the last poll
+            const fresh = collectRulesFromProgress(progressData, runInfo, statuses)
+                .filter(rule => !imported.has(rule.outputFile) || imported.get(rule.outputFile).error);
+            if (fresh.length > 0) {
+                const results = await mapWithConcurrency(fresh, fetchOptions.concurrency,
+                    (rule) => fetchRuleOutputWithRetry(rule, fetchOptions));
+                for (const rule of results) imported.set(rule.outputFile, rule);
+                if (persist) {
+                    runKey = persistRun({ url, runInfo, statuses, progressData, rules: Array.from(imported.values()) });
+                }
+                onEvent({ type: 'rules', runKey, rules: results, message: `Imported ${results.length} new rule(s)` });
+            }
+
+            const pending = Array.from(current.values()).filter(r => !FINAL_RULE_STATUSES.includes(r.status)).length;
+            onEvent({ type: 'poll', poll, total: current.size, pending, message: `Poll ${poll}: ${current.size - pending}/${current.size} rules finished` });
+
+            if (current.size > 0 && pending === 0) {
+                onEvent({ type: 'finished', message: 'All rules finished' });
+                break;
+            }
+        }
+
+        if (Date.now() - startedAt + intervalMs > maxDurationMs) {
+            onEvent({ type: 'finished', timedOut: true, message: 'Watch stopped: maximum duration reached' });
+            break;
+        }
+        // Sleep in short steps so a disconnect stops the watch promptly
+        for (let waited = 0; waited < intervalMs && !isCancelled(); waited += 1000) {
+            await new Promise(r => setTimeout(r, Math.min(1000, intervalMs - waited)));
+        }
+    }
+
+    const rules = Array.from(imported.values());
+    if (persist && progressData) {
+        runKey = persistRun({ url, runInfo, statuses, progressData, rules });
+    }
+    return {
+        url,
+        runInfo,
+        runKey,
+        statuses,
+        timestamp: new Date().toISOString(),
+        totalRules: rules.length,
+        failedFetches: rules.filter(r => r.error).length,
+        rules
+    };
+}
+
 // Main endpoint: analyze URL and return all JSON content (with real-time progress)
 app.post('/analyze-and-fetch-stream', async (req, res) => {
-    const { url } = req.body;
+    const { url: rawUrl, localPath } = req.body;
+    // localPath is an alias for pointing at a local certoraRun output folder
+    const url = rawUrl || localPath;
+    const statuses = normalizeStatuses(req.body.statuses);
 
     if (!url) {
         return res.status(400).json({ error: 'Please provide URL' });
     }
 
+    const fetchOptions = requestFetchOptions(req.body, res);
+    if (!fetchOptions) return;
+
     // Set SSE response headers
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -270,87 +982,46 @@ app.post('/analyze-and-fetch-stream', async (req, res) => {
     };
 
     try {
-        sendProgress(`Analyzing URL: ${url}`);
+        sendProgress(`Analyzing URL: ${url}\n`);
         console.log('Analyzing URL:', url);
-        const runInfo = parseRunInfo(url);
-
-        const browser = await chromium.launch({ headless: true });
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
-        });
-        const page = await context.newPage();
-
-        let progressData = null;
-
-        sendProgress('Accessing page...');
 
-        page.on('response', async (response) => {
-            try {
-                const resUrl = response.url();
-                const status = response.status();
-
-                if (resUrl.includes('progress') && status === 200) {
-                    const text = await response.text();
-                    if (text && text.trim() !== '') {
-                        try {
-                            progressData = JSON.parse(text);
-                            sendProgress('Found progress data');
-                        } catch (parseError) {
-                            console.log('Progress response parse failed:', parseError.message);
-                        }
-                    }
+        const response = await runFetchPipeline({
+            url,
+            statuses,
+            fetchOptions,
+            persist: req.body.persist !== false,
+            onProgress: (event) => {
+                // Retries are routine; rules that stay unfetched are reported as errors below
+                if (event.stage === 'loading' || event.stage === 'retry') {
+                    sendProgress(`${event.message}\n`, 'info');
+                    return;
                 }
-            } catch (responseError) {
-                console.log('Response processing error:', responseError.message);
+                // Keep log lines and progress events in order
+                flushSSE(true);
+                writeSSE({ type: 'progress', ...event });
             }
         });
 
-        await page.goto(url, { waitUntil: 'networkidle' });
-        await page.waitForTimeout(3000);
-
-        if (!progressData) {
+        if (!response) {
             sendProgress('Progress data not found', 'error');
+            flushSSE(true);
             res.write(`data: ${JSON.stringify({ type: 'error', message: 'Progress data not found' })}\n\n`);
             res.end();
-            await browser.close();
             return;
         }
 
-        // Correctly pass empty array as path accumulator to avoid string concat/join errors
-        const failedRules = collectFailedRuleOutputs(progressData, runInfo, [], []);
-        sendProgress(`Found ${failedRules.length} rules to analyze (VIOLATED and SANITY_FAILED), fetching JSON content...`);
-
-        const results = [];
-        for (const rule of failedRules) {
-            try {
-                sendProgress(`Fetching ${rule.outputFile}...`);
-                // Use node-fetch to directly request the constructed JSON URL (field name is url)
-                const resp = await fetch(rule.url);
-                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-                const jsonContent = await resp.json();
-                results.push({ ...rule, content: jsonContent });
-            } catch (jsonError) {
-                console.log(`Failed to fetch ${rule.outputFile}:`, jsonError.message);
-                results.push({ ...rule, content: null, error: jsonError.message });
-            }
+        if (response.failedFetches > 0) {
+            sendProgress(`${response.failedFetches} rule output(s) could not be fetched`, 'error');
         }
-
-        await browser.close();
-
-        const response = {
-            url,
-            timestamp: new Date().toISOString(),
-            totalRules: failedRules.length,
-            rules: results
-        };
-
         sendProgress('Analysis complete!', 'success');
+        flushSSE(true);
         res.write(`data: ${JSON.stringify({ type: 'complete', data: response })}\n\n`);
         res.end();
 
     } catch (error) {
         console.error('Processing error:', error);
         sendProgress(`Error: ${error.message}`, 'error');
+        flushSSE(true);
         res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
         res.end();
     }
@@ -358,126 +1029,206 @@ app.post('/analyze-and-fetch-stream', async (req, res) => {
 
 // Main endpoint: analyze URL and return all JSON content
 app.post('/analyze-and-fetch', async (req, res) => {
-    const { url } = req.body;
+    const { url: rawUrl, localPath } = req.body;
+    // localPath is an alias for pointing at a local certoraRun output folder
+    const url = rawUrl || localPath;
+    const statuses = normalizeStatuses(req.body.statuses);
 
     if (!url) {
         return res.status(400).json({ error: 'Please provide URL' });
     }
 
-    console.log('Analyzing URL:', url);
-    const runInfo = parseRunInfo(url);
-
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
-    });
-    const page = await context.newPage();
+    const fetchOptions = requestFetchOptions(req.body, res);
+    if (!fetchOptions) return;
 
-    let progressData = null;
-
-    page.on('response', async (response) => {
-        try {
-            const resUrl = response.url();
-            const status = response.status();
-            if (status < 200 || status >= 300) return;
-
-            const ct = (response.headers()['content-type'] || '').toLowerCase();
-            if (ct.includes('application/json') || ct.includes('text/json')) {
-                if (resUrl.includes('progress') || resUrl.includes(runInfo.outputId)) {
-                    const body = await response.text();
-                    try {
-                        const json = JSON.parse(body);
-                        if (json.verificationProgress || json.rules) {
-                            progressData = json;
-                            console.log('Found progress data');
-                        }
-                    } catch { }
-                }
-            }
-        } catch { }
-    });
+    console.log('Analyzing URL:', url);
 
     try {
-        console.log('Accessing page...');
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => { });
-        await browser.close();
+        const response = await runFetchPipeline({
+            url,
+            statuses,
+            fetchOptions,
+            persist: req.body.persist !== false,
+            onProgress: (event) => console.log(event.message)
+        });
 
-        if (!progressData) {
+        if (!response) {
             return res.status(404).json({ error: 'Verification data not found' });
         }
 
-        const roots = getProgressRoots(progressData);
-        const failedRules = [];
+        // Return complete results
+        res.json(response);
 
-        for (const root of roots) {
-            collectFailedRuleOutputs(root, runInfo, failedRules);
-        }
+    } catch (error) {
+        console.error('Analysis error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Deduplicate
-        const uniqueRules = new Map();
-        for (const rule of failedRules) {
-            if (!uniqueRules.has(rule.outputFile)) {
-                uniqueRules.set(rule.outputFile, rule);
-            }
-        }
+// Watch an in-progress job: SSE stream of rule status transitions and newly imported rules
+// Body: { url, statuses?, intervalMs?, maxDurationMs?, maxAttempts?, concurrency? }
+app.post('/watch-run-stream', async (req, res) => {
+    const { url: rawUrl, localPath } = req.body;
+    const url = rawUrl || localPath;
+    const statuses = normalizeStatuses(req.body.statuses);
 
-        const sortedRules = Array.from(uniqueRules.values()).sort((a, b) => {
-            const numA = parseInt(a.outputFile.match(/\d+/)?.[0] || '0');
-            const numB = parseInt(b.outputFile.match(/\d+/)?.[0] || '0');
-            return numA - numB;
+    if (!url) {
+        return res.status(400).json({ error: 'Please provide URL' });
+    }
+
+    const fetchOptions = requestFetchOptions(req.body, res);
+    if (!fetchOptions) return;
+
+    const clampMs = (value, min, fallback) => {
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.max(min, n) : fallback;
+    };
+    const intervalMs = clampMs(req.body.intervalMs, 5000, WATCH_DEFAULTS.intervalMs);
+    const maxDurationMs = clampMs(req.body.maxDurationMs, intervalMs, WATCH_DEFAULTS.maxDurationMs);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control',
+        'X-Accel-Buffering': 'no'
+    });
+    if (typeof res.flushHeaders === 'function') try { res.flushHeaders(); } catch { }
+
+    let clientDisconnected = false;
+    res.on('close', () => { clientDisconnected = true; });
+    const writeSSE = (payload) => {
+        if (!clientDisconnected) res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    console.log(`Watching ${url} every ${intervalMs}ms`);
+    try {
+        const response = await watchRun({
+            url,
+            statuses,
+            fetchOptions,
+            intervalMs,
+            maxDurationMs,
+            persist: req.body.persist !== false,
+            isCancelled: () => clientDisconnected,
+            onEvent: writeSSE
         });
+        writeSSE({ type: 'complete', data: response });
+    } catch (error) {
+        console.error('Watch error:', error);
+        writeSSE({ type: 'error', message: error.message });
+    }
+    console.log(`Stopped watching ${url}`);
+    res.end();
+});
 
-        console.log(`Found ${sortedRules.length} rules to analyze (VIOLATED and SANITY_FAILED), fetching JSON content...`);
+// Analysis prompt for a rule status (shared by /analyze-rule-stream and the WebSocket handler), from
+// scripts/prompts/analyze_<status>.md or the project's override in <project>/certora/prompts/.
+// Templates without {{response_format}} get the JSON answer format appended.
+function buildAnalysisPrompt(status, content, { ruleName = '', projectPath = '' } = {}) {
+    const name = analysisTemplateName(status);
+    if (!PROMPT_TEMPLATES[name]) throw new Error(`Unsupported rule type: ${status}`);
+    let prompt = renderPrompt(name, {
+        certora_output: content,
+        rule_name: ruleName,
+        status: String(status).toUpperCase(),
+        response_format: ANALYSIS_RESPONSE_FORMAT
+    }, projectPath);
+    if (!prompt.includes(ANALYSIS_RESPONSE_FORMAT)) prompt += `\n\n${ANALYSIS_RESPONSE_FORMAT}\n`;
+    // Clean null bytes from prompt text
+    return prompt.replace(/\0/g, '');
+}
 
-        // Function with retry: until success
-        const fetchJsonWithRetry = async (rule, delayMs = 2000) => {
-            let attempt = 0;
-            // Infinite retry until success
-            // Note: Add fixed wait to prevent too fast retry
-            while (true) {
-                attempt++;
-                try {
-                    console.log(`Fetching ${rule.outputFile} (attempt ${attempt})...`);
-                    const response = await fetch(rule.url);
-                    if (!response.ok) {
-                        console.warn(`HTTP ${response.status} failed to fetch ${rule.outputFile}, retrying...`);
-                    } else {
-                        const jsonContent = await response.json();
-                        // Simple validation
-                        if (jsonContent && typeof jsonContent === 'object') {
-                            return { ...rule, content: jsonContent };
-                        }
-                        console.warn(`Failed to parse ${rule.outputFile} JSON, retrying...`);
-                    }
-                } catch (e) {
-                    console.warn(`Failed to fetch ${rule.outputFile}: ${e.message}, retrying...`);
-                }
-                // Wait then retry
-                await new Promise(r => setTimeout(r, delayMs));
-            }
-        };
+// Analysis cache key of a rule: its markdown, the template the project uses for its status and the backend
+function analysisCacheKeyFor(status, content, { projectPath = '', backend }) {
+    const template = expandTemplate(analysisTemplateName(status), projectPath);
+    return analysisCacheKey({ markdown: content, template, backend });
+}
 
-        // Concurrently fetch all JSON file contents (each has its own infinite retry)
-        const rulesWithContent = await Promise.all(sortedRules.map(rule => fetchJsonWithRetry(rule)));
+// Store a validated analysis; a failing cache write never fails the analysis itself
+function cacheAnalysis(cacheKey, { text, result, backend }) {
+    if (!result) return;
+    try {
+        writeCachedAnalysis(cacheKey, { text, result, backend: backendLabel(backend) });
+    } catch (e) {
+        console.warn(`Caching analysis failed: ${e.message}`);
+    }
+}
 
-        // Return complete results
-        res.json({
-            url: url,
-            runInfo: runInfo,
-            timestamp: new Date().toISOString(),
-            totalRules: rulesWithContent.length,
-            rules: rulesWithContent
+// Available analysis backends and the configured default (API keys are never returned)
+// default/label: analysis profile; profiles: both phases
+app.get('/analysis-backends', (req, res) => {
+    try {
+        const profiles = effectiveProfiles();
+        return res.json({
+            success: true,
+            types: BACKEND_TYPES,
+            default: profiles.analyze.backend,
+            label: profiles.analyze.label,
+            profiles
         });
+    } catch (e) {
+        return res.json({ success: false, types: BACKEND_TYPES, default: describeBackend(profileBackendConfig('analyze')), error: e.message });
+    }
+});
 
-    } catch (error) {
-        console.error('Analysis error:', error);
-        await browser.close();
-        res.status(500).json({ error: error.message });
+// Backend each phase runs with when a request does not override it
+function effectiveProfiles() {
+    return Object.fromEntries(BACKEND_MODES.map(mode => {
+        const backend = resolveBackend(undefined, profileBackendConfig(mode));
+        return [mode, { backend: describeBackend(backend), label: backendLabel(backend) }];
+    }));
+}
+
+function settingsResponse() {
+    let effective = null;
+    let error;
+    try { effective = effectiveProfiles(); } catch (e) { error = e.message; }
+    return {
+        success: true,
+        file: SETTINGS_FILE,
+        settings: loadSettings(),
+        defaults: describeBackend(defaultBackendConfig()),
+        effective,
+        ...(error ? { warning: error } : {}),
+        options: { types: BACKEND_TYPES, sandboxModes: SANDBOX_MODES, reasoningEfforts: REASONING_EFFORTS },
+        fileOnly: FILE_ONLY_FIELDS
+    };
+}
+
+// Model/provider settings: analysis and fix profiles stored in the settings file
+app.get('/settings', (req, res) => {
+    res.json(settingsResponse());
+});
+
+// Body: { profiles: { analyze?: {...}, fix?: {...} } } — a given profile replaces the stored one,
+// except for FILE_ONLY_FIELDS (400 when they differ from the settings file)
+app.put('/settings', (req, res) => {
+    try {
+        saveSettings({ profiles: req.body?.profiles });
+        return res.json(settingsResponse());
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Cached analyses (see analysis_cache.mjs): entry count and size, DELETE clears them
+app.get('/analysis-cache', (req, res) => {
+    res.json({ success: true, ...analysisCacheStats() });
+});
+
+app.delete('/analysis-cache', (req, res) => {
+    try {
+        return res.json({ success: true, deleted: clearAnalysisCache() });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
     }
 });
 
 // New /analyze-rule-stream endpoint for streaming Codex analysis of individual rules
+// Body: { content, type, ruleName?, projectPath?, backend?, force? } — backend: type name or partial config (see analysis_backends.mjs)
+// Cache hits are answered immediately (final event with cached: true); force: true runs the backend anyway
 app.post('/analyze-rule-stream', async (req, res) => {
     const { content, type, projectPath } = req.body;
 
@@ -487,6 +1238,12 @@ app.post('/analyze-rule-stream', async (req, res) => {
             error: 'Missing required parameters: content and type'
         });
     }
+    let backend;
+    try {
+        backend = requestBackend('analyze', req.body.backend);
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
 
     // Set SSE response headers
     res.writeHead(200, {
@@ -570,130 +1327,30 @@ app.post('/analyze-rule-stream', async (req, res) => {
                 processedOutput += `► [${timestamp}]${content}\n`;
             } else {
                 // Regular line without timestamp
-                processedOutput += line + '\n';
-            }
-        }
-
-        return processedOutput;
-    };
-
-    try {
-        const { spawn } = await import('child_process');
-        let promptText;
-
-        if (type === 'VIOLATED') {
-            promptText = `Analyze the following Certora rule violation from CERTORA_OUTPUT and propose minimal, sound SPEC/CONF change suggestions . If necessary, also propose changes to the HARNESS CONTRACTS .THINK HARDER,ULTRAL THINK.
-
-Output:
-- Classification: real bug vs false positive.
-- Detalied summary: what & where & how & why.
-- Fixes Suggestions: concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions.IT MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-- THE PROVIDED SOLUTIONS, ADHERING TO BEST PRACTICES, SHOULD NOT EXCEED TWO.
-- THE SYNTAX USED IN THE FIX SUGGESTIONS MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-
-You have the ability to search the web to get any necessary information.
-
-CERTORA_OUTPUT:
-${content}
-`;
-        } else if (type === 'SANITY_FAILED') {
-            promptText = `Analyze the following Certora SANITY_FAILED rule from CERTORA_OUTPUT and detemine whether this rule is meaningful and if it should be deleted or fixed.If it should be fixed propose minimal, sound SPEC/CONF change suggestions .THINK HARDER,ULTRAL THINK.
-
-Output:
-- Summary: whether this rule is meaningful and if it should be deleted or fixed
-- IF meaningful and should be fixed: propose concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions.IT MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-- THE PROVIDED SOLUTIONS, ADHERING TO BEST PRACTICES, SHOULD NOT EXCEED TWO.
-- THE SYNTAX USED IN THE FIX SUGGESTIONS MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-
-You have the ability to search the web to get any necessary information.
-
-CERTORA_OUTPUT:
-${content}`;
-        }
-
-        // Clean null bytes from prompt text
-        const cleanPromptText = promptText.replace(/\0/g, '');
-
-        sendProgress('Starting analysis...', 'info');
-        if (projectPath && projectPath.trim()) {
-            sendProgress(`Set working directory: ${projectPath.trim()}`, 'info');
-        }
-
-        // Analysis phase: read-only sandbox + never approve + high reasoning effort + detailed summary
-        // IMPORTANT: Configure retry settings for your specific model provider                                
-        // Replace 'packycode' with your provider name from ~/.codex/config.toml                                
-        // Examples:                                                                                             
-        //   - For OpenAI: 'model_providers.openai.request_max_retries=100'                                    
-        //   - For Anthropic: 'model_providers.anthropic.request_max_retries=100'                               
-        const codexArgs = [
-            'exec',
-            '--sandbox', 'read-only',
-            '-c', 'model_providers.packycode.request_max_retries=20',
-            '-c', 'model_providers.packycode.stream_max_retries=20',
-            '-c', 'approval_policy=never',
-            '-c', 'model_reasoning_effort=high',
-            '-c', 'model_reasoning_summary=detailed'
-        ];
-        if (projectPath && projectPath.trim()) {
-            codexArgs.push('-C', projectPath.trim());
-        }
-        codexArgs.push(cleanPromptText);
-
-        const analyzeCodexProcess = spawn('codex', codexArgs, {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            env: { ...process.env },
-            detached: true
-        });
-
-        // Register streams for backpressure management
-        registerStream(analyzeCodexProcess.stdout);
-        registerStream(analyzeCodexProcess.stderr);
-
-        // If client disconnects, terminate the child process
-        let analyzeKilled = false;
-        const killAnalyzeProc = () => {
-            try {
-                if (!analyzeKilled && analyzeCodexProcess && analyzeCodexProcess.pid) {
-                    analyzeKilled = true;
-                    try { analyzeCodexProcess.kill('SIGTERM'); } catch { }
-                    try { process.kill(-analyzeCodexProcess.pid, 'SIGTERM'); } catch { }
-                    setTimeout(() => {
-                        try {
-                            if (analyzeCodexProcess && analyzeCodexProcess.pid) {
-                                try { analyzeCodexProcess.kill('SIGKILL'); } catch { }
-                                try { process.kill(-analyzeCodexProcess.pid, 'SIGKILL'); } catch { }
-                            }
-                        } catch { }
-                    }, 1200);
-                }
-            } catch { }
-        };
-        req.on('close', killAnalyzeProc);
-        req.on('aborted', killAnalyzeProc);
-        res.on('close', killAnalyzeProc);
-
-        // Keep only a tail window to avoid end-of-stream heavy parsing on huge logs
-        const MAX_TAIL_BYTES = parseInt(process.env.SSE_TAIL_MAX_BYTES || '2097152'); // 2MB default
-        let tailChunks = [];
-        let tailBytes = 0;
-        const appendTail = (chunk) => {
-            const str = chunk.toString();
-            const size = Buffer.byteLength(str, 'utf8');
-            tailChunks.push(str);
-            tailBytes += size;
-            while (tailBytes > MAX_TAIL_BYTES && tailChunks.length > 1) {
-                const removed = tailChunks.shift();
-                tailBytes -= Buffer.byteLength(removed, 'utf8');
+                processedOutput += line + '\n';
             }
-        };
-        let hasError = false;
+        }
+
+        return processedOutput;
+    };
+
+    try {
+        const cleanPromptText = buildAnalysisPrompt(type, content, { ruleName: req.body.ruleName, projectPath });
+        const cacheKey = analysisCacheKeyFor(type, content, { projectPath, backend });
+        const cached = req.body.force ? null : readCachedAnalysis(cacheKey);
+        if (cached) {
+            writeSSE({ type: 'info', message: `Cached analysis from ${cached.createdAt} (${cached.backend})` });
+            writeSSE({ type: 'final', message: cached.text, analysis: cached.result, cached: true, cachedAt: cached.createdAt });
+            writeSSE({ type: 'success', message: 'Analysis complete (cached)' });
+            writeSSE({ type: 'complete' });
+            return res.end();
+        }
+
+        sendProgress(`Starting analysis with ${backendLabel(backend)}...`, 'info');
+        if (projectPath && projectPath.trim()) {
+            sendProgress(`Set working directory: ${projectPath.trim()}`, 'info');
+        }
+
         let outputBuffer = '';
         let bufferTimer = null;
 
@@ -707,42 +1364,45 @@ ${content}`;
             bufferTimer = null;
         };
 
-        analyzeCodexProcess.stdout.on('data', (data) => {
-            const chunk = data.toString();
-            appendTail(chunk);
-
-            // Buffer output and send in batches for better performance
-            outputBuffer += chunk;
-            if (bufferTimer) clearTimeout(bufferTimer);
-            // Send buffered data every 300ms or when buffer is large (~12KB)
-            if (Buffer.byteLength(outputBuffer, 'utf8') >= FLUSH_CHUNK_BYTES) {
+        // Analysis phase: analysis profile of the settings (codex: read-only sandbox unless configured otherwise)
+        const task = startAnalysis(backend, {
+            prompt: cleanPromptText,
+            cwd: projectPath,
+            detached: true,
+            onRetry: (errors) => {
                 flushBuffer();
-            } else {
-                bufferTimer = setTimeout(flushBuffer, FLUSH_INTERVAL_MS);
-            }
-        });
-
-        analyzeCodexProcess.stderr.on('data', (data) => {
-            const errorOutput = data.toString();
-            appendTail(errorOutput);
-            sendProgress(errorOutput, 'error');
+                flushSSE(true);
+                writeSSE({ type: 'info', message: `Answer is not valid analysis JSON (${errors.join('; ')}), asking again...` });
+            },
+            onOutput: (chunk) => {
+                // Buffer output and send in batches for better performance
+                outputBuffer += chunk;
+                if (bufferTimer) clearTimeout(bufferTimer);
+                // Send buffered data every 300ms or when buffer is large (~12KB)
+                if (Buffer.byteLength(outputBuffer, 'utf8') >= FLUSH_CHUNK_BYTES) {
+                    flushBuffer();
+                } else {
+                    bufferTimer = setTimeout(flushBuffer, FLUSH_INTERVAL_MS);
+                }
+            },
+            onError: (chunk) => sendProgress(chunk, 'error'),
+            // Register streams for backpressure management (also those of a repeated prompt)
+            onStreams: (streams) => streams.forEach(registerStream)
         });
 
-        analyzeCodexProcess.on('error', (error) => {
-            hasError = true;
-            if (error.code === 'ENOENT') {
-                console.error('Codex CLI not found, please ensure it is installed');
-                sendProgress('Codex CLI not found, please install Codex CLI', 'error');
-            } else if (error.code === 'EPIPE') {
-                console.log('Process pipe closed (EPIPE) - this is usually normal');
-            } else {
-                console.error('Codex process error:', error);
-                sendProgress(`Process error: ${error.message}`, 'error');
-            }
-        });
+        // If client disconnects, terminate the backend task (req 'close' fires as soon as the body is read)
+        let analyzeKilled = false;
+        const killAnalyzeProc = () => {
+            if (analyzeKilled || res.writableEnded) return;
+            analyzeKilled = true;
+            try { task.kill('SIGTERM'); } catch { }
+            setTimeout(() => { try { task.kill('SIGKILL'); } catch { } }, 1200);
+        };
+        req.on('aborted', killAnalyzeProc);
+        res.on('close', killAnalyzeProc);
 
-        analyzeCodexProcess.on('close', (code) => {
-            console.log(`Codex process ended, exit code: ${code}`);
+        task.done.then(({ code, error, result, errors, text }) => {
+            console.log(`Analysis backend ${backend.type} ended, exit code: ${code}`);
 
             // Clear all timers and buffers without flushing
             if (bufferTimer) {
@@ -761,17 +1421,17 @@ ${content}`;
             }
 
             // Send final result immediately
-            if (code === 0 && !hasError) {
-                // Extract final analysis and output only at the end
-                const tailForParse = tailChunks.join('');
-                const finalResult = extractCodexAnswer(tailForParse);
-
-                // Send extracted final answer directly
-                writeSSE({ type: 'final', message: finalResult });
+            if (code === 0 && !error) {
+                cacheAnalysis(cacheKey, { text, result, backend });
+                // Readable text plus the structured result (null when the answer stayed malformed)
+                writeSSE({ type: 'final', message: text, analysis: result, ...(result ? {} : { errors }) });
+                if (!result) writeSSE({ type: 'error', message: `Answer is not valid analysis JSON: ${errors.join('; ')}` });
                 writeSSE({ type: 'success', message: 'Analysis complete' });
             } else {
-                const errorMsg = `Process exited abnormally, code: ${code}`;
-                console.error('Codex execution error:', errorMsg);
+                const errorMsg = error?.code === 'ENOENT'
+                    ? `${backendLabel(backend)} not found, please install it`
+                    : error ? `Process error: ${error.message}` : `Process exited abnormally, code: ${code}`;
+                console.error('Analysis backend error:', errorMsg);
                 writeSSE({ type: 'error', message: errorMsg });
             }
 
@@ -788,9 +1448,49 @@ ${content}`;
 });
 
 
+// Prompt templates (shipped in scripts/prompts/, shared overrides in <dataDir>/prompts/, project overrides in <project>/certora/prompts/)
+// Query: projectPath? — templates as the project sees them, with source 'project', 'shared' or 'default'
+app.get('/prompt-templates', (req, res) => {
+    try {
+        return res.json({ success: true, templates: listTemplates(String(req.query.projectPath || '')) });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Body: { text, projectPath?, scope? } — scope 'project' (default) writes the project override, 'default' the shared override
+app.put('/prompt-templates/:name', (req, res) => {
+    const { text, projectPath, scope } = req.body || {};
+    if (!PROMPT_TEMPLATES[req.params.name]) {
+        return res.status(404).json({ success: false, error: `Unknown prompt template: ${req.params.name}` });
+    }
+    try {
+        const template = saveTemplate(req.params.name, text, { projectPath, scope: scope === 'default' ? 'default' : 'project' });
+        return res.json({ success: true, template });
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Remove the project override of a template (?projectPath=), or the shared override (?scope=default)
+app.delete('/prompt-templates/:name', (req, res) => {
+    if (!PROMPT_TEMPLATES[req.params.name]) {
+        return res.status(404).json({ success: false, error: `Unknown prompt template: ${req.params.name}` });
+    }
+    try {
+        const deleted = deleteTemplate(req.params.name, {
+            projectPath: String(req.query.projectPath || ''),
+            scope: req.query.scope === 'default' ? 'default' : 'project'
+        });
+        return res.json({ success: true, deleted });
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
+});
+
 // New endpoint: /generate-fix-prompt to generate fix prompt
 app.post('/generate-fix-prompt', async (req, res) => {
-    const { analyses } = req.body;
+    const { analyses, projectPath } = req.body;
 
     if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
         return res.status(400).json({
@@ -839,19 +1539,9 @@ ${item.text}
 ╚═══════════════════════════════════════════════════════════════════════════════════╝`;
         });
 
-        const promptText = `Implement fixes for the item below by editing SPEC/CONF/HARNESS CONTRACTS only:
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL FIXES MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-- FOR ANY GIVEN SOLUTION, YOU MUST CHALLENGE IT ON THE FOLLOWING CRITERIA:IS IT CORRECT IN SOLVING THE PROBLEM? DOES IT COMPLY WITH THE BEST PRACTICES FOR FORMAL VERIFICATION USING CERTORA CVL?
-- - THE SYNTAX USED IN THE FIX MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
-- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
-- DO NOT RUN certoraRun command yourself
-
-You have the ability to search the web to get any necessary information. 
-
-Initial analysis result`;
+        // Fix template with the project root filled in; per-item fields ({{analysis}}, {{certora_output}},
+        // {{rule_name}}, {{status}}) are filled by the fix loop, so the prompt can still be edited in between
+        const promptText = renderPrompt('fix', {}, projectPath);
 
         res.json({
             success: true,
@@ -869,7 +1559,7 @@ Initial analysis result`;
 
 // New: resume fix from specific index
 app.post('/resume-fix-from', async (req, res) => {
-    const { content, startIndex, basePrompt, analyses, projectPath, confPath, immediateStreaming, lowLatency } = req.body || {};
+    const { content, startIndex, basePrompt, analyses, projectPath, confPath, backend, immediateStreaming, lowLatency } = req.body || {};
 
     if (!analyses || !Array.isArray(analyses) || analyses.length === 0) {
         return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
@@ -896,6 +1586,7 @@ app.post('/resume-fix-from', async (req, res) => {
         analyses: remainingAnalyses,
         projectPath,
         confPath,
+        backend,
         _resumeInfo: {
             originalStartIndex: startIdx,
             totalItems: analyses.length
@@ -917,6 +1608,15 @@ function handleSequentialFix(req, res) {
             error: 'Missing analysis results (analyses)'
         }));
     }
+    let fixBackend;
+    try {
+        fixBackend = requestBackend('fix', req.body.backend);
+    } catch (e) {
+        return res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            success: false,
+            error: e.message
+        }));
+    }
 
     // SSE headers
     res.writeHead(200, {
@@ -994,87 +1694,76 @@ function handleSequentialFix(req, res) {
         currentIndex: currentFixIndex
     };
 
+    // currentChild is a certoraRun child process or a backend task (no pid for HTTP backends)
     const killCurrent = () => {
         try {
-            if (currentChild && currentChild.pid) {
+            if (currentChild) {
                 try { currentChild.kill('SIGTERM'); } catch { }
-                try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
+                if (currentChild.pid) try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
                 setTimeout(() => {
                     try {
-                        if (currentChild && currentChild.pid) {
+                        if (currentChild) {
                             try { currentChild.kill('SIGKILL'); } catch { }
-                            try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
+                            if (currentChild.pid) try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
                         }
                     } catch { }
                 }, 1500);
             }
         } catch { }
     };
-    req.on('close', () => { clientDisconnected = true; killCurrent(); });
+    // res, not req: req 'close' fires as soon as the body has been read, which would kill the first backend task
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        clientDisconnected = true;
+        killCurrent();
+    });
 
-    const spawnCodexOnce = async (promptText, ruleName = 'Fix Task') => {
-        const { spawn } = await import('child_process');
+    const runBackendOnce = async (promptText, ruleName = 'Fix Task') => {
+        if (globalFixAbort) {
+            send('Abort requested before starting the fix backend', 'info');
+            return false;
+        }
 
-        return new Promise((resolve) => {
-            if (globalFixAbort) {
-                send('Abort requested before spawning Codex', 'info');
-                return resolve(false);
-            }
-            const args = [
-                'exec',
-                '-c', 'model_providers.packycode.request_max_retries=20',
-                '-c', 'model_providers.packycode.stream_max_retries=20',
-                '--sandbox', 'workspace-write',
-                '-c', 'approval_policy=never',
-                '-c', 'model_reasoning_effort=high',
-                '-c', 'model_reasoning_summary=detailed'
-            ];
-
-            let workingDirectory = null;
-            let projectRootPath = null;
-
-            if (projectPath && String(projectPath).trim()) {
-                projectRootPath = String(projectPath).trim();
-                workingDirectory = `${projectRootPath}/certora`;
-
-                args.push('-C', workingDirectory);
-                // Removed 'Set working directory' log - not needed in fix stage
-                send(`Project root directory: ${projectRootPath}`, 'info');
-            }
+        let workingDirectory = null;
+        let projectRootPath = null;
+
+        if (projectPath && String(projectPath).trim()) {
+            projectRootPath = String(projectPath).trim();
+            workingDirectory = `${projectRootPath}/certora`;
+            // Removed 'Set working directory' log - not needed in fix stage
+            send(`Project root directory: ${projectRootPath}`, 'info');
+        }
 
-            // Add project context to prompt
-            const contextualPrompt = projectRootPath
-                ? `Project Root Directory: ${projectRootPath}
+        // Add project context to prompt
+        const contextualPrompt = projectRootPath
+            ? `Project Root Directory: ${projectRootPath}
 
 You can read files from the project root directory and its subdirectories for analysis.
 You can only write/modify files in the current working directory (certora/) and its subdirectories.
 
-${String(promptText || '').replace(/\0/g, '')}`
-                : String(promptText || '').replace(/\0/g, '');
-
-            args.push(contextualPrompt);
-
-            // Removed redundant 'Fixing:' log message
-            // Avoid detached to keep process tied to request lifecycle (prevents early SSE end)
-            currentChild = spawn('codex', args, { stdio: ['pipe', 'pipe', 'pipe'], env: { ...process.env } });
-
-            registerStream(currentChild.stdout);
-            registerStream(currentChild.stderr);
-
-            currentChild.stdout.on('data', (d) => send(d.toString(), 'output'));
-            currentChild.stderr.on('data', (d) => send(d.toString(), 'error'));
-            currentChild.on('error', (e) => {
-                send(`Process error: ${e.message}`, 'error');
-                try { currentChild && currentChild.kill('SIGTERM'); } catch { }
-                currentChild = null;
-                return resolve(false);
-            });
-            currentChild.on('close', (code) => {
-                currentChild = null;
-                send(`Codex exited: ${code}`, code === 0 ? 'success' : 'error');
-                resolve(code === 0);
-            });
+${String(promptText || '')}`
+            : String(promptText || '');
+
+        // Fix phase: fix profile of the settings (codex: workspace-write sandbox in <project>/certora by default).
+        // Not detached, to keep the process tied to the request lifecycle (prevents early SSE end)
+        const task = startBackend(fixBackend, {
+            prompt: contextualPrompt,
+            mode: 'fix',
+            cwd: workingDirectory,
+            onOutput: (d) => send(d, 'output'),
+            onError: (d) => send(d, 'error')
         });
+        currentChild = task;
+        task.streams.forEach(registerStream);
+
+        const { code, error } = await task.done;
+        if (currentChild === task) currentChild = null;
+        if (error) {
+            send(`Process error: ${error.message}`, 'error');
+            return false;
+        }
+        send(`${backendLabel(fixBackend)} exited: ${code}`, code === 0 ? 'success' : 'error');
+        return code === 0;
     };
 
     const runCertora = async () => {
@@ -1163,6 +1852,7 @@ ${String(promptText || '').replace(/\0/g, '')}`
                     const ruleName = a.ruleName ?? a.name ?? a.rule ?? `Item ${startIdx + i + 1}`;
                     const itemContent = a.content ?? a.ruleData ?? null; // This is the original CERTORA_OUTPUT
                     const ruleType = a.ruleType ?? a.type ?? null;
+                    const status = a.status ?? a.ruleType ?? a.type ?? '';
                     const skipFix = Boolean(a.skipFix) || Boolean(skipStatusMap[String(ruleName || '')]);
                     return {
                         text: String(text || ''),
@@ -1170,6 +1860,9 @@ ${String(promptText || '').replace(/\0/g, '')}`
                         content: itemContent,  // Keep individual rule's CERTORA_OUTPUT
                         originalContent: itemContent,  // Backup field name
                         ruleType: ruleType ? String(ruleType) : null,
+                        status: String(status || '').toUpperCase(),  // {{status}} in the fix template
+                        // Structured analysis classification ({{classification}} in the fix template)
+                        classification: a.classification ? String(a.classification) : '',
                         skipFix
                     };
                 }
@@ -1179,6 +1872,8 @@ ${String(promptText || '').replace(/\0/g, '')}`
                     content: null,
                     originalContent: null,
                     ruleType: null,
+                    status: '',
+                    classification: '',
                     skipFix: false
                 };
             });
@@ -1253,12 +1948,25 @@ ${String(promptText || '').replace(/\0/g, '')}`
                     ruleDataMarkdown = `\n\n## Call Trace Data\n${item.ruleData}`;
                 }
 
-                // Wrap codex analysis in code blocks
-                const analysisInCodeBlock = `\`\`\`\n${item.text}\n\`\`\``;
-
-                const perPrompt = `${String(basePrompt || '')}\n\n\nAnalysis Results:\n${analysisInCodeBlock}${ruleDataMarkdown}${certoraOutputSection}`;
+                // Fix template (see /generate-fix-prompt): fill the per-item fields. Base prompts without
+                // an {{analysis}} field get the analysis and CERTORA_OUTPUT appended as before
+                let perPrompt;
+                if (/\{\{\s*analysis\s*\}\}/.test(String(basePrompt || ''))) {
+                    perPrompt = renderTemplate(basePrompt, {
+                        analysis: item.text,
+                        certora_output: usedContent || '',
+                        rule_name: item.ruleName || '',
+                        status: item.status,
+                        classification: item.classification,
+                        project_root: String(projectPath || '').trim()
+                    }) + ruleDataMarkdown;
+                } else {
+                    // Wrap codex analysis in code blocks
+                    const analysisInCodeBlock = `\`\`\`\n${item.text}\n\`\`\``;
+                    perPrompt = `${String(basePrompt || '')}\n\n\nAnalysis Results:\n${analysisInCodeBlock}${ruleDataMarkdown}${certoraOutputSection}`;
+                }
 
-                const ok = await spawnCodexOnce(perPrompt, item.ruleName);
+                const ok = await runBackendOnce(perPrompt, item.ruleName);
                 flushSSE(true);  // Flush output before info
                 send(`📋 Result ${actualIndex}: ${ok ? 'Success' : 'Failure'}`, 'info');
                 flushSSE(true);  // Flush info before output
@@ -1329,22 +2037,9 @@ ${String(promptText || '').replace(/\0/g, '')}`
                         send(`\n===== [Start Syntax Fix] Attempt ${attempt} =====\n`, 'output');
                         send('🔧 Invoking Codex to fix syntax errors...', 'info');
 
-                        const failurePrompt = `Resolve SPEC/CONF/HARNESS CONTRACTS  syntax/parse/compilation errors shown in the log tail by making the minimal edits required.
+                        const failurePrompt = renderPrompt('syntax_fix', { error_log: result.output.slice(-9000) }, projectPath);
 
- Constraints:
- - THE SYNTAX USED IN THE FIX MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-- NEVER MODIFY any Solidity files (.sol) in the following directories: src/, contract/, contracts/.
-- ANY MODIFICATION TO THE SPEC/CONF MUST COMPLY WITH THE BEST PRACTICES FOR FORMAL VERIFICATION USING CERTORA CVL.
-- You MAY ONLY modify CVL specification files (.spec) , Certora configuration files (.conf) , HARNESS CONTRACTS (.sol) in the following directories: certora/harness when necessary.
-- DO NOT RUN certoraRun command yourself
-
-You have the ability to search the web to get any necessary information. 
-
-Error log tail:
-${result.output.slice(-9000)}
-`;
-
-                        const fixOk = await spawnCodexOnce(failurePrompt, 'Syntax Error Fix');
+                        const fixOk = await runBackendOnce(failurePrompt, 'Syntax Error Fix');
                         if (!fixOk) {
                             if (globalFixAbort) break;
                             // Continue loop: try certoraRun again (until abort or success)
@@ -1394,21 +2089,21 @@ app.post('/kill-processes', async (req, res) => {
         globalFixAbort = true;
 
         // Only terminate currently running (tracked) child process/group
-        if (currentChild && currentChild.pid) {
+        if (currentChild) {
             try {
                 try { currentChild.kill('SIGTERM'); } catch { }
-                try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
-                console.log(`Sent SIGTERM to current child process group: ${currentChild.pid}`);
+                if (currentChild.pid) try { process.kill(-currentChild.pid, 'SIGTERM'); } catch { }
+                console.log(`Sent SIGTERM to current child process group: ${currentChild.pid ?? '(backend task)'}`);
             } catch (e) {
                 console.log(`Failed to terminate current child process: ${e.message}`);
             }
             // After short wait, send SIGKILL if still alive
             setTimeout(() => {
                 try {
-                    if (currentChild && currentChild.pid) {
+                    if (currentChild) {
                         try { currentChild.kill('SIGKILL'); } catch { }
-                        try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
-                        console.log(`Sent SIGKILL to current child process group: ${currentChild.pid}`);
+                        if (currentChild.pid) try { process.kill(-currentChild.pid, 'SIGKILL'); } catch { }
+                        console.log(`Sent SIGKILL to current child process group: ${currentChild.pid ?? '(backend task)'}`);
                     }
                 } catch { }
             }, 800);
@@ -1439,7 +2134,7 @@ app.post('/update-skip-status', (req, res) => {
     }
 });
 
-const PORT = 3002;
+const PORT = Number(process.env.PORT) || 3002;
 const server = http.createServer(app);
 // Reduce TCP-level latency (disable Nagle)
 server.on('connection', (socket) => {
@@ -1449,7 +2144,7 @@ server.on('connection', (socket) => {
 // Create WebSocket server
 const wss = new WebSocketServer({ server, perMessageDeflate: false });
 
-// Store active analysis tasks: Map<taskId, {ws, process, ruleName}>
+// Store active analysis tasks: Map<taskId, {ws, process (backend task), ruleName}>
 const activeTasks = new Map();
 let taskIdCounter = 0;
 
@@ -1538,165 +2233,92 @@ async function handleWebSocketAnalysis(ws, data) {
     ws.tasks.add(taskId);
 
     try {
-        const { spawn } = await import('child_process');
-        let promptText;
-
-        if (ruleType === 'VIOLATED') {
-            promptText = `Analyze the following Certora rule violation from CERTORA_OUTPUT and propose minimal, sound SPEC/CONF change suggestions . If necessary, also propose changes to the HARNESS CONTRACTS .THINK HARDER,ULTRAL THINK.
-
-Output:
-- Classification: real bug vs false positive.
-- Detalied summary: what & where & how & why.
-- Fixes Suggestions: concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions.IT MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-- THE PROVIDED SOLUTIONS, ADHERING TO BEST PRACTICES, SHOULD NOT EXCEED TWO.
-- THE SYNTAX USED IN THE FIX SUGGESTIONS MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-
-You have the ability to search the web to get any necessary information.
-
-CERTORA_OUTPUT:
-${content}
-`;
-        } else if (ruleType === 'SANITY_FAILED') {
-            promptText = `Analyze the following Certora SANITY_FAILED rule from CERTORA_OUTPUT and detemine whether this rule is meaningful and if it should be deleted or fixed.If it should be fixed propose minimal, sound SPEC/CONF change suggestions .THINK HARDER,ULTRAL THINK.
-
-Output:
-- Summary: whether this rule is meaningful and if it should be deleted or fixed
-- IF meaningful and should be fixed: propose concrete,minimal,SOUND  SPEC/CONF/HARNESS CONTRACTS change suggestions.IT MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-
-Constraints:
-- THE OVERRIDING PRINCIPLE FOR ALL RECOMMENDATIONS MUST COMPLY WITH THE BEST PRACTICES AND SPECIFICATIONS FOR FORMAL VERIFICATION USING CERTORA CVL.
-- THE PROVIDED SOLUTIONS, ADHERING TO BEST PRACTICES, SHOULD NOT EXCEED TWO.
-- THE SYNTAX USED IN THE FIX SUGGESTIONS MUST BE CORRECT AND UP-TO-DATE. YOU MUST REFERENCE THE OFFICIAL DOCUMENTATION (DOCS.CERTORA.COM/EN/LATEST/) TO ENSURE THE SYNTAX IS ACCURATE AND COMPLIES WITH BEST PRACTICES.
-
-You have the ability to search the web to get any necessary information.
+        const backend = requestBackend('analyze', data.backend);
+        const cleanPromptText = buildAnalysisPrompt(ruleType, content, { ruleName: data.ruleName, projectPath });
 
-CERTORA_OUTPUT:
-${content}`;
+        // Same counterexample, template and backend as an earlier analysis: answer from the cache
+        const cacheKey = analysisCacheKeyFor(ruleType, content, { projectPath, backend });
+        const cached = data.force ? null : readCachedAnalysis(cacheKey);
+        if (cached) {
+            ws.tasks.delete(taskId);
+            ws.taskMapping.delete(id);
+            ws.send(JSON.stringify({
+                type: 'complete',
+                id,
+                success: true,
+                result: cached.text,
+                analysis: cached.result,
+                cached: true,
+                cachedAt: cached.createdAt
+            }));
+            return;
         }
 
-        // Clean null bytes from prompt text
-        const cleanPromptText = promptText.replace(/\0/g, '');
-
         // Send start message
         ws.send(JSON.stringify({
             type: 'start',
             id,
-            message: 'Starting analysis...'
+            message: `Starting analysis with ${backendLabel(backend)}...`
         }));
 
-        // Analysis phase: read-only sandbox + never approve + high reasoning effort + detailed summary
-        const codexArgs = [
-            'exec',
-            '-c', 'model_providers.packycode.request_max_retries=20',
-            '-c', 'model_providers.packycode.stream_max_retries=20',
-            '--sandbox', 'read-only',
-            '-c', 'approval_policy=never',
-            '-c', 'model_reasoning_effort=high',
-            '-c', 'model_reasoning_summary=detailed'
-        ];
-
-        if (projectPath && projectPath.trim()) {
-            codexArgs.push('-C', projectPath.trim());
-        }
-        codexArgs.push(cleanPromptText);
-
-        const codexProcess = spawn('codex', codexArgs, {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            env: { ...process.env }
+        // Analysis phase: analysis profile of the settings (codex: read-only sandbox unless configured otherwise)
+        const task = startAnalysis(backend, {
+            prompt: cleanPromptText,
+            cwd: projectPath,
+            onRetry: (errors) => ws.send(JSON.stringify({
+                type: 'output',
+                id,
+                data: `\nAnswer is not valid analysis JSON (${errors.join('; ')}), asking again...\n`
+            })),
+            // Send progress update in real-time
+            onOutput: (chunk) => ws.send(JSON.stringify({ type: 'output', id, data: chunk })),
+            onError: (chunk) => ws.send(JSON.stringify({ type: 'error', id, data: chunk }))
         });
 
         // Store active task
         activeTasks.set(taskId, {
             ws,
-            process: codexProcess,
+            process: task,
             id,
             ruleName: data.ruleName || id
         });
 
-        // Collect output for final extraction
-        const MAX_TAIL_BYTES = 2097152; // 2MB
-        let tailChunks = [];
-        let tailBytes = 0;
-
-        const appendTail = (chunk) => {
-            const str = chunk.toString();
-            const size = Buffer.byteLength(str, 'utf8');
-            tailChunks.push(str);
-            tailBytes += size;
-            while (tailBytes > MAX_TAIL_BYTES && tailChunks.length > 1) {
-                const removed = tailChunks.shift();
-                tailBytes -= Buffer.byteLength(removed, 'utf8');
-            }
-        };
-
-        // Handle stdout
-        codexProcess.stdout.on('data', (data) => {
-            const chunk = data.toString();
-            appendTail(chunk);
-
-            // Send progress update in real-time
-            ws.send(JSON.stringify({
-                type: 'output',
-                id,
-                data: chunk
-            }));
-        });
-
-        // Handle stderr
-        codexProcess.stderr.on('data', (data) => {
-            const chunk = data.toString();
-            appendTail(chunk);
-
-            ws.send(JSON.stringify({
-                type: 'error',
-                id,
-                data: chunk
-            }));
-        });
-
-        // Handle process completion
-        codexProcess.on('close', (code) => {
-            console.log(`Codex process for ${id} ended with code: ${code}`);
+        // Handle completion
+        task.done.then(({ code, error, result, errors, text }) => {
+            console.log(`Analysis backend ${backend.type} for ${id} ended with code: ${code}`);
 
             // Remove from active tasks
             activeTasks.delete(taskId);
 
-            if (code === 0) {
-                // Extract final answer from accumulated output
-                const fullOutputStr = tailChunks.join('');
-                const finalResult = extractCodexAnswer(fullOutputStr);
-
-                // Send final result immediately
+            if (error) {
+                console.error(`Analysis backend error for ${id}:`, error);
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    id,
+                    message: error.message
+                }));
+            }
+            if (code === 0 && !error) {
+                cacheAnalysis(cacheKey, { text, result, backend });
+                // Send final result immediately: readable text plus the structured result (null if malformed)
                 ws.send(JSON.stringify({
                     type: 'complete',
                     id,
                     success: true,
-                    result: finalResult
+                    result: text,
+                    analysis: result,
+                    ...(result ? {} : { errors })
                 }));
             } else {
                 ws.send(JSON.stringify({
                     type: 'complete',
                     id,
                     success: false,
-                    message: `Process exited with code: ${code}`
+                    message: error ? error.message : `Process exited with code: ${code}`
                 }));
             }
         });
 
-        codexProcess.on('error', (error) => {
-            console.error(`Codex process error for ${id}:`, error);
-            activeTasks.delete(taskId);
-
-            ws.send(JSON.stringify({
-                type: 'error',
-                id,
-                message: error.message
-            }));
-        });
-
     } catch (error) {
         console.error(`Analysis error for ${id}:`, error);
         ws.send(JSON.stringify({
@@ -1805,6 +2427,324 @@ app.get('/list-conf', async (req, res) => {
     }
 });
 
+// Source excerpts for jumpToDefinition locations, read-only like /list-conf.
+// Only source files inside projectPath are read (symlinks resolved); Certora's .certora_sources/ prefix is stripped.
+const SOURCE_SNIPPET_EXTENSIONS = ['.sol', '.vy', '.spec', '.cvl', '.conf'];
+const SOURCE_SNIPPET_LIMITS = { maxLocations: 200, maxContextLines: 20, maxFileBytes: 2 * 1024 * 1024 };
+
+function readSourceSnippets(projectPath, locations, contextLines = 5) {
+    const root = fs.realpathSync(path.resolve(projectPath));
+    const context = Math.min(Math.max(0, Number(contextLines) || 0), SOURCE_SNIPPET_LIMITS.maxContextLines);
+    const fileLines = new Map();
+    const snippets = {};
+    const missing = [];
+
+    const readLines = (file) => {
+        const candidates = [file];
+        const sourcesIndex = file.indexOf('.certora_sources/');
+        if (sourcesIndex !== -1) candidates.push(file.slice(sourcesIndex + '.certora_sources/'.length));
+        for (const candidate of candidates) {
+            let full;
+            try { full = fs.realpathSync(path.resolve(root, candidate)); } catch { continue; }
+            if (full !== root && !full.startsWith(root + path.sep)) continue;
+            if (!SOURCE_SNIPPET_EXTENSIONS.includes(path.extname(full).toLowerCase())) continue;
+            if (fileLines.has(full)) return fileLines.get(full);
+            const stat = fs.statSync(full);
+            const lines = stat.isFile() && stat.size <= SOURCE_SNIPPET_LIMITS.maxFileBytes
+                ? fs.readFileSync(full, 'utf8').replace(/\r?\n$/, '').split(/\r?\n/)
+                : null;
+            fileLines.set(full, lines);
+            return lines;
+        }
+        return null;
+    };
+
+    for (const location of (Array.isArray(locations) ? locations : []).slice(0, SOURCE_SNIPPET_LIMITS.maxLocations)) {
+        const file = String(location?.file || '');
+        const line = Number(location?.line);
+        if (!file || !Number.isInteger(line) || line < 1) continue;
+        const key = sourceLocationKey({ file, line });
+        if (snippets[key]) continue;
+
+        const lines = readLines(file);
+        if (!lines || line > lines.length) {
+            missing.push(key);
+            continue;
+        }
+        const startLine = Math.max(1, line - context);
+        const endLine = Math.min(lines.length, line + context);
+        snippets[key] = { file, line, startLine, lines: lines.slice(startLine - 1, endLine) };
+    }
+    return { snippets, missing };
+}
+
+// Body: { projectPath, locations: [{ file, line }], contextLines? }
+app.post('/source-snippets', (req, res) => {
+    try {
+        const projectPath = String(req.body?.projectPath || '').trim();
+        if (!projectPath) {
+            return res.status(400).json({ success: false, error: 'Missing projectPath' });
+        }
+        if (!fs.existsSync(projectPath)) {
+            return res.status(404).json({ success: false, error: `Project path not found: ${projectPath}` });
+        }
+        const { snippets, missing } = readSourceSnippets(projectPath, req.body.locations, req.body.contextLines ?? 5);
+        return res.json({ success: true, count: Object.keys(snippets).length, snippets, missing });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Stored runs: list, open, delete and annotate runs saved by the fetch endpoints
+app.get('/runs', (req, res) => {
+    try {
+        const runs = listRuns();
+        return res.json({ success: true, count: runs.length, runs });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+app.get('/runs/:runKey', (req, res) => {
+    try {
+        const run = loadRun(req.params.runKey, { includeProgress: req.query.progress === '1' });
+        if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+        return res.json({ success: true, ...run });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+app.delete('/runs/:runKey', (req, res) => {
+    try {
+        if (!deleteRun(req.params.runKey)) return res.status(404).json({ success: false, error: 'Run not found' });
+        return res.json({ success: true, runKey: req.params.runKey });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Body: { annotations: { [outputFile]: { markdown?, analysis?, analysisResult?, skipFix? } } }
+// analysisResult must match the structured analysis schema (null removes it)
+app.put('/runs/:runKey/annotations', (req, res) => {
+    try {
+        const { annotations } = req.body || {};
+        if (!annotations || typeof annotations !== 'object') {
+            return res.status(400).json({ success: false, error: 'Missing annotations' });
+        }
+        for (const [outputFile, fields] of Object.entries(annotations)) {
+            if (fields?.analysisResult == null) continue;
+            const { result, errors } = validateAnalysisResult(fields.analysisResult);
+            if (!result) {
+                return res.status(400).json({ success: false, error: `Invalid analysisResult for ${outputFile}: ${errors.join('; ')}` });
+            }
+            fields.analysisResult = result;
+        }
+        const saved = saveAnnotations(req.params.runKey, annotations);
+        if (!saved) return res.status(404).json({ success: false, error: 'Run not found' });
+        return res.json({ success: true, count: Object.keys(saved).length });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// SARIF 2.1.0 log of a stored run's failing rules (with Codex classifications), e.g. for code scanning uploads
+// Query: projectPath? — makes absolute source paths repository-relative
+app.get('/runs/:runKey/sarif', (req, res) => {
+    try {
+        const run = loadRun(req.params.runKey);
+        if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+        const sarif = buildSarifLog(run.rules, {
+            annotations: annotationsByRule(run.rules, run.annotations),
+            runUrl: run.url,
+            runKey: run.runKey,
+            projectPath: String(req.query.projectPath || '').trim()
+        });
+        res.type('application/sarif+json');
+        return res.send(JSON.stringify(sarif, null, 2));
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Rule x method matrix of a stored run, built from the full progress tree
+app.get('/runs/:runKey/matrix', (req, res) => {
+    try {
+        const run = loadRun(req.params.runKey, { includeProgress: true });
+        if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+        if (!run.progressData) return res.status(404).json({ success: false, error: 'Stored run has no progress data' });
+        return res.json({ success: true, runKey: run.runKey, url: run.url, ...buildRuleMethodMatrix(run.progressData) });
+    } catch (e) {
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Retry fetching a single rule output (used by the "fetch failed" rows in the UI)
+// Body: { url, outputFile, runKey?, maxAttempts? } — url is the run URL or local output folder
+app.post('/fetch-rule-output', async (req, res) => {
+    const { url, outputFile, runKey } = req.body || {};
+    if (!url || !outputFile) {
+        return res.status(400).json({ success: false, error: 'Please provide url and outputFile' });
+    }
+    if (!/^rule_output_\d+\.json$/.test(outputFile)) {
+        return res.status(400).json({ success: false, error: 'Invalid outputFile' });
+    }
+
+    const fetchOptions = requestFetchOptions(req.body, res);
+    if (!fetchOptions) return;
+    try {
+        const runInfo = parseRunInfo(url);
+        if (runInfo.local) loadLocalProgress(runInfo);
+        const rule = { outputFile, ...ruleOutputLocation(runInfo, outputFile) };
+        const result = await fetchRuleOutputWithRetry(rule, fetchOptions);
+        if (result.error) {
+            return res.status(502).json({ success: false, outputFile, error: result.error, attempts: result.attempts });
+        }
+        if (runKey) {
+            try { saveRuleContent(runKey, outputFile, result.content); } catch (e) { console.warn(`Failed to store ${outputFile}: ${e.message}`); }
+        }
+        return res.json({ success: true, outputFile, content: result.content });
+    } catch (e) {
+        return res.status(500).json({ success: false, outputFile, error: e.message });
+    }
+});
+
+// Rule markdown for a URL / local output folder or a stored run, same content as the UI's "View"
+// GET query or POST body: { url | localPath | runKey, statuses?, format?: 'json' | 'markdown' }
+async function handleReport(req, res) {
+    const params = { ...req.query, ...(req.body || {}) };
+    const url = params.url || params.localPath;
+    const format = params.format === 'markdown' ? 'markdown' : 'json';
+    if (!url && !params.runKey) {
+        return res.status(400).json({ success: false, error: 'Please provide url or runKey' });
+    }
+
+    const fetchOptions = requestFetchOptions(params, res);
+    if (!fetchOptions) return;
+
+    try {
+        let run;
+        if (params.runKey) {
+            run = loadRun(params.runKey);
+            if (!run) return res.status(404).json({ success: false, error: 'Run not found' });
+        } else {
+            run = await runFetchPipeline({
+                url,
+                statuses: normalizeStatuses(params.statuses),
+                fetchOptions,
+                persist: params.persist !== false && params.persist !== 'false'
+            });
+            if (!run) return res.status(404).json({ success: false, error: 'Verification data not found' });
+        }
+
+        const traceBudget = Math.max(0, Number(params.traceBudget) || 0);
+        const storageFilter = typeof params.storageFilter === 'string' ? params.storageFilter : '';
+        const projectPath = String(params.projectPath || '').trim();
+        const sourceSnippets = projectPath && fs.existsSync(projectPath)
+            ? readSourceSnippets(projectPath, run.rules.flatMap(rule => rule.content ? collectSourceLocations(rule.content) : [])).snippets
+            : undefined;
+        const reports = buildRuleReports(run.rules, { traceBudget, storageFilter, sourceSnippets }).map(report => ({
+            ruleName: report.baseRuleName || report.rule.ruleName,
+            displayName: report.displayName,
+            status: report.rule.status,
+            outputFile: report.groupId || report.rule.outputFile,
+            outputFiles: report.items.map(item => item.outputFile),
+            markdown: report.markdown
+        }));
+
+        if (format === 'markdown') {
+            res.type('text/markdown; charset=utf-8');
+            return res.send(reports.map(r => r.markdown).filter(Boolean).join('\n\n---\n\n'));
+        }
+        return res.json({ success: true, url: run.url, runKey: run.runKey, statuses: run.statuses, count: reports.length, reports });
+    } catch (e) {
+        console.error('Report error:', e);
+        return res.status(500).json({ success: false, error: e.message });
+    }
+}
+
+app.get('/report', handleReport);
+app.post('/report', handleReport);
+
+// JUnit testcases for every rule and sub-rule of a run: leaf paths of the full progress tree
+// (not only the imported failures), with the markdown of the imported counterexample as failure text
+function junitCasesForRun(run) {
+    const statuses = leafRuleStatuses(run.progressData);
+
+    const importedByName = new Map();
+    for (const rule of run.rules) {
+        if (!importedByName.has(rule.ruleName)) importedByName.set(rule.ruleName, rule);
+    }
+    const entries = statuses.size > 0 ? Array.from(statuses.values()) : run.rules;
+    return entries.map(entry => {
+        const rule = importedByName.get(entry.ruleName);
+        return {
+            ruleName: entry.ruleName,
+            status: entry.status,
+            error: rule?.error,
+            markdown: rule && (rule.content || rule.noOutput) ? convertToMarkdown(rule) : ''
+        };
+    });
+}
+
+// JUnit XML of one or more runs (one testsuite each) for CI dashboards
+// Params (query or body): runKey (repeatable) | url | localPath, statuses? (rules to import for failure text)
+async function handleJUnit(req, res) {
+    const params = { ...req.query, ...(req.body || {}) };
+    const runKeys = [].concat(params.runKey || []).filter(Boolean);
+    const url = params.url || params.localPath;
+    if (runKeys.length === 0 && !url) {
+        return res.status(400).json({ success: false, error: 'Please provide url or runKey' });
+    }
+
+    const fetchOptions = requestFetchOptions(params, res);
+    if (!fetchOptions) return;
+
+    try {
+        if (runKeys.length === 0) {
+            const fetched = await runFetchPipeline({
+                url,
+                statuses: normalizeStatuses(params.statuses),
+                fetchOptions,
+                persist: true
+            });
+            if (!fetched) return res.status(404).json({ success: false, error: 'Verification data not found' });
+            runKeys.push(fetched.runKey);
+        }
+
+        const suites = [];
+        for (const runKey of runKeys) {
+            const run = loadRun(runKey, { includeProgress: true });
+            if (!run) return res.status(404).json({ success: false, error: `Run not found: ${runKey}` });
+            suites.push({ name: run.url || run.runKey, url: run.url, timestamp: run.updatedAt, cases: junitCasesForRun(run) });
+        }
+        res.type('application/xml; charset=utf-8');
+        return res.send(buildJUnitXml(suites));
+    } catch (e) {
+        console.error('JUnit export error:', e);
+        return res.status(500).json({ success: false, error: e.message });
+    }
+}
+
+app.get('/junit', handleJUnit);
+app.post('/junit', handleJUnit);
+
+// Compare two runs (URLs, local output folders or stored run keys)
+// Body: { base, head, compareCounterexamples? }
+app.post('/compare-runs', async (req, res) => {
+    const { base, head, compareCounterexamples } = req.body || {};
+    if (!base || !head) {
+        return res.status(400).json({ success: false, error: 'Please provide base and head runs' });
+    }
+    try {
+        const result = await compareRuns(base, head, { compareCounterexamples: compareCounterexamples !== false });
+        return res.json({ success: true, ...result });
+    } catch (e) {
+        console.error('Compare runs error:', e);
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
 // New: sequential fix + certoraRun loop
 app.post('/fix-sequential-stream', async (req, res) => {
     return handleSequentialFix(req, res);
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import fetch, { Response } from 'node-fetch';
+import { DATA_DIR } from './run_store.mjs';
+
+// Record/replay of Certora HTTP traffic (progress and rule_output responses)
+//   live    plain network access
+//   record  network access; every response is also written to the fixtures directory
+//   replay  responses are served from the fixtures directory only, nothing goes to the network
+//
+// Layout: <fixturesDir>/<runId>-<outputId>/{progress.json, rule_output_N.json, ..., fixtures.json}
+// fixtures.json keeps status and content type per file. The anonymousKey is never written, so
+// a recorded run can be shared with people who have no access to the job.
+
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+// Fixtures directory: CERTORA_FIXTURES_DIR or <dataDir>/fixtures
+export const FIXTURES_DIR = process.env.CERTORA_FIXTURES_DIR
+    ? path.resolve(process.env.CERTORA_FIXTURES_DIR)
+    : path.join(DATA_DIR, 'fixtures');
+
+const INDEX_FILE = 'fixtures.json';
+
+const sanitize = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 120);
+
+// Request mode: explicit value, else CERTORA_HTTP_MODE, else live
+export function resolveHttpMode(requested) {
+    const mode = String(requested || process.env.CERTORA_HTTP_MODE || 'live').toLowerCase();
+    if (!HTTP_MODES.includes(mode)) {
+        throw new Error(`Unsupported HTTP mode: ${mode} (expected ${HTTP_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+// Map a Certora URL to its fixture file; /<endpoint>/<runId>/<outputId>[?output=<file>]
+export function fixtureLocation(urlStr, fixturesDir = FIXTURES_DIR) {
+    const u = new URL(urlStr);
+    const [endpoint, runId, outputId] = u.pathname.split('/').filter(Boolean);
+    if (endpoint && runId && outputId) {
+        const output = u.searchParams.get('output');
+        return {
+            dir: path.join(fixturesDir, sanitize(`${runId}-${outputId}`)),
+            name: sanitize(output || `${endpoint}.json`)
+        };
+    }
+    const params = new URLSearchParams(u.search);
+    params.delete('anonymousKey');
+    const query = params.toString();
+    return {
+        dir: path.join(fixturesDir, 'other'),
+        name: `${sanitize(`${u.host}${u.pathname}${query ? `_${query}` : ''}`)}.json`
+    };
+}
+
+// URL as written into fixtures.json (without anonymousKey)
+function redactUrl(urlStr) {
+    const u = new URL(urlStr);
+    u.searchParams.delete('anonymousKey');
+    return u.toString();
+}
+
+function readIndex(dir) {
+    try { return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8')); } catch { return {}; }
+}
+
+function saveFixture(urlStr, status, contentType, body, fixturesDir) {
+    const { dir, name } = fixtureLocation(urlStr, fixturesDir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), body);
+    const index = readIndex(dir);
+    index[name] = { url: redactUrl(urlStr), status, contentType, recordedAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+function replayFixture(urlStr, fixturesDir) {
+    const { dir, name } = fixtureLocation(urlStr, fixturesDir);
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        return new Response(JSON.stringify({ error: `No fixture recorded for ${redactUrl(urlStr)}` }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    const meta = readIndex(dir)[name] || {};
+    return new Response(fs.readFileSync(file), {
+        status: meta.status || 200,
+        headers: { 'Content-Type': meta.contentType || 'application/json' }
+    });
+}
+
+// fetch-compatible client for the given mode; record() stores data obtained some other way (e.g. the browser fallback)
+export function createHttpClient({ mode = 'live', fixturesDir = FIXTURES_DIR } = {}) {
+    return {
+        mode,
+        fixturesDir,
+        fetch: async (url, init) => {
+            if (mode === 'replay') return replayFixture(url, fixturesDir);
+            const response = await fetch(url, init);
+            if (mode !== 'record') return response;
+
+            const body = Buffer.from(await response.arrayBuffer());
+            const contentType = response.headers.get('content-type') || '';
+            try {
+                saveFixture(url, response.status, contentType, body, fixturesDir);
+            } catch (e) {
+                console.warn(`Failed to record ${redactUrl(url)}: ${e.message}`);
+            }
+            return new Response(body, { status: response.status, headers: { 'Content-Type': contentType } });
+        },
+        record: (url, json) => {
+            if (mode !== 'record') return;
+            try {
+                saveFixture(url, 200, 'application/json', JSON.stringify(json), fixturesDir);
+            } catch (e) {
+                console.warn(`Failed to record ${redactUrl(url)}: ${e.message}`);
+            }
+        }
+    };
+}
+
+export const liveHttp = createHttpClient({ mode: 'live' });
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './run_store.mjs';
+
+// Prompt templates: Markdown files with {{placeholder}} fields, first match wins
+//   project overrides  <project>/certora/prompts/<name>.md
+//   shared overrides   <dataDir>/prompts/<name>.md ("Save as default"; the shipped files stay untouched)
+//   shipped defaults   scripts/prompts/<name>.md (or CERTORA_PROMPTS_DIR)
+// Unknown placeholders are left as they are, so a template rendered in two steps (fix prompt: project
+// root first, then one analysis per item) keeps the fields of the second step.
+// Partials are templates of their own that fill a placeholder of the same name in every other template
+// ({{constraints}} in the analysis prompts), so a shared block is edited (and overridden) in one place.
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_DIR = process.env.CERTORA_PROMPTS_DIR
+    ? path.resolve(process.env.CERTORA_PROMPTS_DIR)
+    : path.join(scriptDir, 'prompts');
+
+export const SHARED_PROMPTS_DIR = path.join(DATA_DIR, 'prompts');
+
+const COMMON_PLACEHOLDERS = ['rule_name', 'status', 'project_root'];
+// response_format: JSON answer format of shared/certora_analysis.mjs, appended when the template leaves it out
+const ANALYSIS_PLACEHOLDERS = ['certora_output', 'response_format', 'constraints', ...COMMON_PLACEHOLDERS];
+const PARTIALS = ['constraints'];
+
+export const PROMPT_TEMPLATES = {
+    analyze_violated: { description: 'Analysis of a VIOLATED rule', placeholders: ANALYSIS_PLACEHOLDERS },
+    analyze_sanity_failed: { description: 'Analysis of a SANITY_FAILED rule', placeholders: ANALYSIS_PLACEHOLDERS },
+    analyze_timeout: { description: 'Analysis of a TIMEOUT rule', placeholders: ANALYSIS_PLACEHOLDERS },
+    analyze_unknown: { description: 'Analysis of an UNKNOWN rule', placeholders: ANALYSIS_PLACEHOLDERS },
+    analyze_error: { description: 'Analysis of an ERROR rule', placeholders: ANALYSIS_PLACEHOLDERS },
+    fix: { description: 'Fix of one analyzed rule in the sequential fix loop', placeholders: ['analysis', 'certora_output', 'classification', ...COMMON_PLACEHOLDERS] },
+    syntax_fix: { description: 'Fix of certoraRun syntax/parse/compilation errors after the fix loop', placeholders: ['error_log', 'project_root'] },
+    constraints: { description: 'Constraints shared by the analysis prompts ({{constraints}})', placeholders: [] }
+};
+
+export const analysisTemplateName = (status) => `analyze_${String(status || '').toLowerCase()}`;
+
+function assertTemplateName(name) {
+    if (!Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, name)) {
+        throw new Error(`Unknown prompt template: ${name}`);
+    }
+}
+
+function projectPromptsDir(projectPath) {
+    const root = String(projectPath || '').trim();
+    return root ? path.join(path.resolve(root), 'certora', 'prompts') : null;
+}
+
+const readText = (file) => {
+    try { return fs.readFileSync(file, 'utf8'); } catch { return null; }
+};
+
+// { name, description, placeholders, source: 'project' | 'shared' | 'default', path, text,
+//   defaultText (text without the project override), shippedText, sharedOverride }
+export function loadTemplate(name, projectPath = '') {
+    assertTemplateName(name);
+    const shippedPath = path.join(DEFAULT_PROMPTS_DIR, `${name}.md`);
+    const shippedText = readText(shippedPath);
+    if (shippedText == null) throw new Error(`Default prompt template missing: ${shippedPath}`);
+    const sharedPath = path.join(SHARED_PROMPTS_DIR, `${name}.md`);
+    const sharedText = readText(sharedPath);
+
+    const dir = projectPromptsDir(projectPath);
+    const overridePath = dir ? path.join(dir, `${name}.md`) : null;
+    const overrideText = overridePath ? readText(overridePath) : null;
+    const [source, activePath, text] = overrideText != null ? ['project', overridePath, overrideText]
+        : sharedText != null ? ['shared', sharedPath, sharedText]
+            : ['default', shippedPath, shippedText];
+    return {
+        name,
+        ...PROMPT_TEMPLATES[name],
+        source,
+        path: activePath,
+        text,
+        defaultText: sharedText ?? shippedText,
+        shippedText,
+        sharedOverride: sharedText != null
+    };
+}
+
+export function listTemplates(projectPath = '') {
+    return Object.keys(PROMPT_TEMPLATES).map(name => loadTemplate(name, projectPath));
+}
+
+// Replace {{ key }} with values[key]; placeholders without a value stay in the text
+export function renderTemplate(text, values = {}) {
+    return String(text).replace(/\{\{\s*([a-z_][a-z0-9_]*)\s*\}\}/gi, (match, key) =>
+        values[key] === undefined || values[key] === null ? match : String(values[key]));
+}
+
+// Active text of a template with its partials filled in (what prompts and analysis cache keys are built from)
+export function expandTemplate(name, projectPath = '') {
+    const partials = Object.fromEntries(PARTIALS.filter(partial => partial !== name)
+        .map(partial => [partial, loadTemplate(partial, projectPath).text.trim()]));
+    return renderTemplate(loadTemplate(name, projectPath).text, partials);
+}
+
+export function renderPrompt(name, values = {}, projectPath = '') {
+    return renderTemplate(expandTemplate(name, projectPath), { project_root: String(projectPath || '').trim(), ...values });
+}
+
+// Save a template as project override (scope 'project') or as the shared override of all projects (scope 'default')
+export function saveTemplate(name, text, { projectPath = '', scope = 'project' } = {}) {
+    assertTemplateName(name);
+    if (typeof text !== 'string' || !text.trim()) throw new Error('Template text must not be empty');
+    let dir;
+    if (scope === 'default') {
+        dir = SHARED_PROMPTS_DIR;
+    } else {
+        dir = projectPromptsDir(projectPath);
+        if (!dir) throw new Error('A project path is required to save a project template');
+        if (!fs.existsSync(path.dirname(dir))) throw new Error(`Not a Certora project (missing ${path.dirname(dir)})`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${name}.md`), text);
+    return loadTemplate(name, projectPath);
+}
+
+// Remove the project override (scope 'project') or the shared override (scope 'default') so the next
+// template in line applies again; false if there was none
+export function deleteTemplate(name, { projectPath = '', scope = 'project' } = {}) {
+    assertTemplateName(name);
+    const dir = scope === 'default' ? SHARED_PROMPTS_DIR : projectPromptsDir(projectPath);
+    if (!dir) throw new Error('A project path is required');
+    const file = path.join(dir, `${name}.md`);
+    if (!fs.existsSync(file)) return false;
+    fs.rmSync(file);
+    return true;
+}
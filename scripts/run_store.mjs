@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Local persistence for fetched runs: one JSON directory per run under <dataDir>/runs/<runKey>/
+//   run.json          run metadata + rule list (without content)
+//   progress.json     raw progress tree
+//   rules/<file>.json rule_output content per rule
+//   annotations.json  per-rule markdown, Codex analysis and skip flag (keyed by outputFile)
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Data directory: CERTORA_DATA_DIR or <repo>/data
+export const DATA_DIR = process.env.CERTORA_DATA_DIR
+    ? path.resolve(process.env.CERTORA_DATA_DIR)
+    : path.resolve(scriptDir, '..', 'data');
+
+const RUNS_DIR = path.join(DATA_DIR, 'runs');
+
+const sanitizeKey = (s) => String(s || '').replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 120);
+
+function runDir(runKey) {
+    const key = sanitizeKey(runKey);
+    if (!key || key === '.' || key === '..') throw new Error(`Invalid run key: ${runKey}`);
+    return path.join(RUNS_DIR, key);
+}
+
+function readJson(file, fallback = null) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return fallback; }
+}
+
+function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temp file first so a crash never leaves a truncated JSON behind
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, file);
+}
+
+// Stable key for a run: remote runId/outputId, or a hash of the local output folder
+export function runKeyFor(runInfo) {
+    if (runInfo.local) {
+        const hash = crypto.createHash('sha1').update(runInfo.outputDir).digest('hex').slice(0, 10);
+        return sanitizeKey(`local-${runInfo.runId}-${hash}`);
+    }
+    return sanitizeKey(`${runInfo.runId}-${runInfo.outputId}`);
+}
+
+// Save (or refresh) a fetched run; existing annotations are kept
+export function saveRun({ url, runInfo, statuses, progressData, rules }) {
+    const runKey = runKeyFor(runInfo);
+    const dir = runDir(runKey);
+    const now = new Date().toISOString();
+    const previous = readJson(path.join(dir, 'run.json'));
+
+    fs.rmSync(path.join(dir, 'rules'), { recursive: true, force: true });
+    for (const rule of rules) {
+        if (rule.content != null) {
+            writeJson(path.join(dir, 'rules', `${sanitizeKey(rule.outputFile)}.json`), rule.content);
+        }
+    }
+    writeJson(path.join(dir, 'progress.json'), progressData ?? null);
+
+    // Local lookup tables are only needed while fetching
+    const { ruleOutputs, ...storedRunInfo } = runInfo || {};
+    writeJson(path.join(dir, 'run.json'), {
+        runKey,
+        url,
+        runInfo: storedRunInfo,
+        statuses,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now,
+        totalRules: rules.length,
+        rules: rules.map(({ content, ...rest }) => rest)
+    });
+    return runKey;
+}
+
+export function listRuns() {
+    let entries = [];
+    try { entries = fs.readdirSync(RUNS_DIR, { withFileTypes: true }); } catch { return []; }
+    const runs = [];
+    for (const ent of entries) {
+        if (!ent.isDirectory()) continue;
+        const meta = readJson(path.join(RUNS_DIR, ent.name, 'run.json'));
+        if (!meta) continue;
+        const annotations = readJson(path.join(RUNS_DIR, ent.name, 'annotations.json'), {});
+        const counts = {};
+        for (const r of meta.rules || []) counts[r.status] = (counts[r.status] || 0) + 1;
+        runs.push({
+            runKey: meta.runKey,
+            url: meta.url,
+            statuses: meta.statuses,
+            createdAt: meta.createdAt,
+            updatedAt: meta.updatedAt,
+            totalRules: meta.totalRules,
+            statusCounts: counts,
+            analyzedRules: Object.values(annotations).filter(a => a && a.analysis).length
+        });
+    }
+    return runs.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// Load a stored run in the same shape as the /analyze-and-fetch response, plus annotations
+export function loadRun(runKey, { includeProgress = false } = {}) {
+    const dir = runDir(runKey);
+    const meta = readJson(path.join(dir, 'run.json'));
+    if (!meta) return null;
+    const rules = (meta.rules || []).map(rule => ({
+        ...rule,
+        content: readJson(path.join(dir, 'rules', `${sanitizeKey(rule.outputFile)}.json`))
+    }));
+    const run = {
+        ...meta,
+        rules,
+        annotations: readJson(path.join(dir, 'annotations.json'), {})
+    };
+    if (includeProgress) run.progressData = readJson(path.join(dir, 'progress.json'));
+    return run;
+}
+
+export function deleteRun(runKey) {
+    const dir = runDir(runKey);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+}
+
+// Store content for one rule (e.g. after a retried fetch) and clear its fetch error
+export function saveRuleContent(runKey, outputFile, content) {
+    const dir = runDir(runKey);
+    const metaFile = path.join(dir, 'run.json');
+    const meta = readJson(metaFile);
+    if (!meta) return false;
+    writeJson(path.join(dir, 'rules', `${sanitizeKey(outputFile)}.json`), content);
+    meta.rules = (meta.rules || []).map(rule => {
+        if (rule.outputFile !== outputFile) return rule;
+        const { error, attempts, ...rest } = rule;
+        return rest;
+    });
+    meta.updatedAt = new Date().toISOString();
+    writeJson(metaFile, meta);
+    return true;
+}
+
+// Merge per-rule fields (markdown, analysis, skipFix, ...) into annotations.json
+export function saveAnnotations(runKey, updates) {
+    const dir = runDir(runKey);
+    if (!fs.existsSync(path.join(dir, 'run.json'))) return null;
+    const file = path.join(dir, 'annotations.json');
+    const annotations = readJson(file, {});
+    const now = new Date().toISOString();
+    for (const [outputFile, fields] of Object.entries(updates || {})) {
+        if (!fields || typeof fields !== 'object') continue;
+        annotations[outputFile] = { ...(annotations[outputFile] || {}), ...fields, updatedAt: now };
+    }
+    writeJson(file, annotations);
+    return annotations;
+}
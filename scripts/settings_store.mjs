@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './run_store.mjs';
+import {
+    BACKEND_TYPES, BACKEND_MODES, SANDBOX_MODES, REASONING_EFFORTS, REQUEST_BACKEND_FIELDS, defaultBackendConfig, resolveBackend
+} from './analysis_backends.mjs';
+
+// Server settings: <dataDir>/settings.json (or CERTORA_SETTINGS_FILE)
+//   { profiles: { analyze: {...}, fix: {...} } }
+// A profile holds the backend fields of one phase (see PROFILE_FIELDS). Fields missing from a profile
+// fall back to the environment defaults of analysis_backends.mjs; API keys stay in the environment.
+
+export const SETTINGS_FILE = process.env.CERTORA_SETTINGS_FILE
+    ? path.resolve(process.env.CERTORA_SETTINGS_FILE)
+    : path.join(DATA_DIR, 'settings.json');
+
+const TOKEN = /^[A-Za-z0-9._-]+$/;
+
+// field -> kind: string | token (used inside codex -c keys/values) | int | args | one of a list
+export const PROFILE_FIELDS = {
+    type: BACKEND_TYPES,
+    model: 'string',
+    url: 'string',
+    command: 'string',
+    provider: 'token',
+    reasoningEffort: REASONING_EFFORTS,
+    reasoningSummary: 'token',
+    approvalPolicy: 'token',
+    requestMaxRetries: 'int',
+    streamMaxRetries: 'int',
+    sandbox: SANDBOX_MODES,
+    extraArgs: 'args'
+};
+
+// Fields that pick the program to spawn, its flags or where prompts are sent. They are read from the
+// settings file and the environment only: PUT /settings can be sent by any page open in the browser
+export const FILE_ONLY_FIELDS = ['url', 'command', 'extraArgs'];
+
+// Split a command line into arguments; single and double quotes group, no other shell syntax
+export function splitArgs(line) {
+    const args = [];
+    const re = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(line || '')))) {
+        args.push(m[1] != null ? m[1].replace(/\\(.)/g, '$1') : (m[2] ?? m[3]));
+    }
+    return args;
+}
+
+function normalizeField(field, value) {
+    const kind = PROFILE_FIELDS[field];
+    if (kind === 'args') {
+        const args = Array.isArray(value) ? value.map(String) : splitArgs(value);
+        return args.length ? args : undefined;
+    }
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    const text = String(value).trim();
+    if (kind === 'int') {
+        if (!/^\d+$/.test(text)) throw new Error(`${field} must be a non-negative integer`);
+        return Number(text);
+    }
+    if (Array.isArray(kind)) {
+        if (!kind.includes(text)) throw new Error(`Unsupported ${field}: ${text} (expected ${kind.join(', ')})`);
+        return text;
+    }
+    if (kind === 'token' && !TOKEN.test(text)) {
+        throw new Error(`${field} may only contain letters, digits, '.', '_' and '-'`);
+    }
+    return text;
+}
+
+// Validated profile with only the fields that are set; unknown fields are rejected
+export function normalizeProfile(profile = {}) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error('A profile must be an object');
+    const normalized = {};
+    for (const [field, value] of Object.entries(profile)) {
+        if (!Object.prototype.hasOwnProperty.call(PROFILE_FIELDS, field)) throw new Error(`Unknown profile field: ${field}`);
+        const v = normalizeField(field, value);
+        if (v !== undefined) normalized[field] = v;
+    }
+    return normalized;
+}
+
+export function loadSettings() {
+    let stored = {};
+    try { stored = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8')); } catch { }
+    const profiles = {};
+    for (const mode of BACKEND_MODES) {
+        try {
+            profiles[mode] = normalizeProfile(stored?.profiles?.[mode] || {});
+        } catch (e) {
+            console.warn(`Ignoring invalid ${mode} profile in ${SETTINGS_FILE}: ${e.message}`);
+            profiles[mode] = {};
+        }
+    }
+    return { profiles };
+}
+
+// Replace the given profiles (others are kept) and write the file; FILE_ONLY_FIELDS keep their stored values
+export function saveSettings({ profiles = {} } = {}) {
+    const settings = loadSettings();
+    for (const [mode, profile] of Object.entries(profiles || {})) {
+        if (!BACKEND_MODES.includes(mode)) throw new Error(`Unknown profile: ${mode} (expected ${BACKEND_MODES.join(', ')})`);
+        const stored = settings.profiles[mode];
+        const normalized = normalizeProfile(profile);
+        for (const field of FILE_ONLY_FIELDS) {
+            // Sending back the stored value is fine (the UI round-trips the whole profile)
+            if (normalized[field] !== undefined && JSON.stringify(normalized[field]) !== JSON.stringify(stored[field])) {
+                throw new Error(`${field} can only be set in ${SETTINGS_FILE} or the environment`);
+            }
+            if (stored[field] !== undefined) normalized[field] = stored[field];
+        }
+        settings.profiles[mode] = normalized;
+    }
+    fs.mkdirSync(path.dirname(SETTINGS_FILE), { recursive: true });
+    const tmp = `${SETTINGS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(settings, null, 2));
+    fs.renameSync(tmp, SETTINGS_FILE);
+    return settings;
+}
+
+// Backend defaults of one phase: environment defaults with the phase's profile on top
+export function profileBackendConfig(mode, env = process.env) {
+    if (!BACKEND_MODES.includes(mode)) throw new Error(`Unknown profile: ${mode}`);
+    return { ...defaultBackendConfig(env), ...loadSettings().profiles[mode] };
+}
+
+// Backend of one request in a phase: the request may only pick REQUEST_BACKEND_FIELDS (a type name
+// or { type, model }), validated like profile fields, over the phase's profile
+export function requestBackend(mode, requested) {
+    const spec = typeof requested === 'string' ? { type: requested } : (requested ?? {});
+    if (typeof spec !== 'object' || Array.isArray(spec)) throw new Error('backend must be a type name or an object');
+    const forbidden = Object.keys(spec).filter(field => !REQUEST_BACKEND_FIELDS.includes(field));
+    if (forbidden.length > 0) {
+        throw new Error(`Backend fields ${forbidden.join(', ')} cannot be set per request (use the settings file)`);
+    }
+    return resolveBackend(normalizeProfile(spec), profileBackendConfig(mode));
+}
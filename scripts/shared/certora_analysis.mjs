@@ -0,0 +1,189 @@
+// Structured analysis results: the JSON object analysis prompts ask for, its validation and readable text.
+// Plain ES module like certora_markdown.mjs: the server validates backend answers with it,
+// certora_analyzer.html loads it from /shared/certora_analysis.mjs for badges, sorting and fix selection.
+//
+// { classification: 'real_bug' | 'false_positive' | 'spec_issue' | 'vacuity',
+//   confidence: 0..1, rootCause: string, affectedFiles: [string], fixes: [{ description, file? }] }
+
+export const ANALYSIS_CLASSIFICATIONS = ['real_bug', 'false_positive', 'spec_issue', 'vacuity'];
+
+export const CLASSIFICATION_LABELS = {
+    real_bug: 'Real bug',
+    false_positive: 'False positive',
+    spec_issue: 'Spec issue',
+    vacuity: 'Vacuity'
+};
+
+// Instructions appended to analysis prompts ({{response_format}} in the templates)
+export const ANALYSIS_RESPONSE_FORMAT = `Answer with a single JSON object and nothing else, in exactly this shape:
+{
+  "classification": "real_bug" | "false_positive" | "spec_issue" | "vacuity",
+  "confidence": <number between 0 and 1>,
+  "rootCause": "<detailed root-cause summary: what, where, how and why>",
+  "affectedFiles": ["<contract, spec, conf or harness files involved>"],
+  "fixes": [{ "file": "<file to change>", "description": "<concrete, minimal, sound change>" }]
+}
+- real_bug: the contract really violates the property.
+- false_positive: the counterexample is not reachable in practice (e.g. missing assumptions, over-approximated calls or storage).
+- spec_issue: the rule, invariant, summary or conf is wrong or too strong.
+- vacuity: the rule holds or fails vacuously (unsatisfiable requires, sanity failures).`;
+
+// Heuristic for free-text analyses (stored before structured results, or from backends that ignore the format)
+const FALSE_POSITIVE_PATTERNS = [
+    'false positive',
+    'not a real bug',
+    'benign',
+    'intended behavior',
+    'safe to ignore',
+    'does not violate',
+    'no real violation'
+];
+
+// Does a Codex analysis classify the counterexample as a false positive?
+export function detectFalsePositive(text) {
+    if (!text) return false;
+    const t = text.toLowerCase();
+    return FALSE_POSITIVE_PATTERNS.some(p => t.includes(p));
+}
+
+const CLASSIFICATION_ALIASES = {
+    bug: 'real_bug',
+    true_positive: 'real_bug',
+    real: 'real_bug',
+    fp: 'false_positive',
+    spec: 'spec_issue',
+    spec_bug: 'spec_issue',
+    vacuous: 'vacuity'
+};
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const nonEmptyString = (v) => typeof v === 'string' && v.trim() !== '';
+
+// Validated and normalized result; errors lists every field that does not match the schema
+export function validateAnalysisResult(value) {
+    if (!isObject(value)) return { result: null, errors: ['the answer is not a JSON object'] };
+    const errors = [];
+
+    const rawClass = String(value.classification ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const classification = CLASSIFICATION_ALIASES[rawClass] || rawClass;
+    if (!ANALYSIS_CLASSIFICATIONS.includes(classification)) {
+        errors.push(`classification must be one of ${ANALYSIS_CLASSIFICATIONS.join(', ')} (got ${JSON.stringify(value.classification ?? null)})`);
+    }
+
+    // 0..1; percentages (e.g. 80 or "80%") are accepted
+    let confidence = typeof value.confidence === 'string' ? parseFloat(value.confidence) : value.confidence;
+    if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) confidence /= 100;
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        errors.push('confidence must be a number between 0 and 1');
+    }
+
+    const rootCause = value.rootCause ?? value.root_cause ?? value.summary;
+    if (!nonEmptyString(rootCause)) errors.push('rootCause must be a non-empty string');
+
+    const files = value.affectedFiles ?? value.affected_files ?? [];
+    const affectedFiles = typeof files === 'string' ? [files] : files;
+    if (!Array.isArray(affectedFiles) || !affectedFiles.every(nonEmptyString)) {
+        errors.push('affectedFiles must be a list of file paths');
+    }
+
+    const rawFixes = value.fixes ?? value.proposedFixes ?? value.proposed_fixes ?? [];
+    const fixes = Array.isArray(rawFixes)
+        ? rawFixes.map(fix => (nonEmptyString(fix) ? { description: fix.trim() } : fix))
+        : null;
+    if (!fixes || !fixes.every(fix => isObject(fix) && nonEmptyString(fix.description) && (fix.file == null || typeof fix.file === 'string'))) {
+        errors.push('fixes must be a list of { file, description } objects');
+    }
+
+    if (errors.length > 0) return { result: null, errors };
+    return {
+        result: {
+            classification,
+            confidence: Math.round(confidence * 100) / 100,
+            rootCause: rootCause.trim(),
+            affectedFiles: affectedFiles.map(f => f.trim()),
+            fixes: fixes.map(fix => ({
+                ...(nonEmptyString(fix.file) ? { file: fix.file.trim() } : {}),
+                description: fix.description.trim()
+            }))
+        },
+        errors: []
+    };
+}
+
+// JSON object candidates in an answer: fenced ```json blocks first, then balanced {...} spans
+function jsonCandidates(text) {
+    const candidates = [];
+    const fence = /```(?:json)?\s*\n([\s\S]*?)```/g;
+    let m;
+    while ((m = fence.exec(text))) candidates.push(m[1]);
+
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"' && depth > 0) {
+            inString = true;
+        } else if (ch === '{') {
+            if (depth++ === 0) start = i;
+        } else if (ch === '}' && depth > 0 && --depth === 0) {
+            candidates.push(text.slice(start, i + 1));
+        }
+    }
+    return candidates;
+}
+
+// Structured result from a backend answer; the last candidate that validates wins (final answers come last)
+export function parseAnalysisResult(text) {
+    const answer = String(text || '');
+    let errors = ['no JSON object found in the answer'];
+    const candidates = jsonCandidates(answer);
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        let value;
+        try { value = JSON.parse(candidates[i]); } catch { continue; }
+        const validated = validateAnalysisResult(value);
+        if (validated.result) return validated;
+        if (isObject(value)) errors = validated.errors;
+    }
+    return { result: null, errors };
+}
+
+export function formatConfidence(confidence) {
+    return `${Math.round((Number(confidence) || 0) * 100)}%`;
+}
+
+// Readable text of a structured result (shown in the table, sent to fix prompts and exports)
+export function formatAnalysisResult(result) {
+    const lines = [
+        `Classification: ${CLASSIFICATION_LABELS[result.classification]} (confidence ${formatConfidence(result.confidence)})`,
+        '',
+        `Root cause: ${result.rootCause}`
+    ];
+    if (result.affectedFiles.length > 0) lines.push('', `Affected files: ${result.affectedFiles.join(', ')}`);
+    if (result.fixes.length > 0) {
+        lines.push('', 'Fixes Suggestions:');
+        result.fixes.forEach((fix, i) => lines.push(`${i + 1}. ${fix.file ? `[${fix.file}] ` : ''}${fix.description}`));
+    }
+    return lines.join('\n');
+}
+
+// Classification of an analysis: the structured field, else 'false_positive' when the text reads like one
+export function analysisClassification(result, text = '') {
+    if (result && ANALYSIS_CLASSIFICATIONS.includes(result.classification)) return result.classification;
+    return detectFalsePositive(text) ? 'false_positive' : null;
+}
+
+const TRIAGE_ORDER = ['real_bug', 'spec_issue', 'vacuity', 'false_positive'];
+
+// Triage order: real bugs first, then spec issues, vacuity, false positives, unclassified; higher confidence first
+// Entries: { result, text }
+export function compareAnalyses(a, b) {
+    const rank = (entry) => {
+        const c = analysisClassification(entry?.result, entry?.text);
+        return c ? TRIAGE_ORDER.indexOf(c) : TRIAGE_ORDER.length;
+    };
+    return rank(a) - rank(b) || (b?.result?.confidence ?? 0) - (a?.result?.confidence ?? 0);
+}
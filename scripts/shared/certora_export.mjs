@@ -0,0 +1,416 @@
+// Export formats for a run's rules (SARIF for code scanning views, JUnit XML for CI dashboards, standalone HTML report).
+// Plain ES module like certora_markdown.mjs: the server imports it for /runs/:runKey/sarif and /junit,
+// certora_analyzer.html loads it from /shared/certora_export.mjs and exposes the exports on window.
+import {
+    formatRuleName,
+    groupSanityFailedRules,
+    buildRuleReports,
+    buildTraceTree,
+    collectSourceLocations,
+    calculateGlobalStateSnapshots
+} from './certora_markdown.mjs';
+import { detectFalsePositive, analysisClassification, CLASSIFICATION_LABELS, formatConfidence } from './certora_analysis.mjs';
+
+export { detectFalsePositive };
+
+// Statuses of rules that hold; everything else imported from a run is a finding
+const PASSING_STATUSES = ['VERIFIED', 'SUCCESS'];
+
+// Codex classification of an analysis: 'false_positive', 'true_positive' or null (not analyzed).
+// A structured result (certora_analysis.mjs) decides; free text falls back to the heuristic
+export function classifyAnalysis(text, result = null) {
+    if (result) return analysisClassification(result) === 'false_positive' ? 'false_positive' : 'true_positive';
+    if (!text || !String(text).trim()) return null;
+    return detectFalsePositive(text) ? 'false_positive' : 'true_positive';
+}
+
+// Annotations stored per table row (merged SANITY_FAILED groups under their groupId) -> per rule outputFile
+export function annotationsByRule(rules, annotations = {}) {
+    const byRule = {};
+    buildRuleReports(rules).forEach(report => {
+        const entry = annotations[report.groupId || report.rule.outputFile];
+        if (entry) report.items.forEach(item => { byRule[item.outputFile] = entry; });
+    });
+    return byRule;
+}
+
+// Rules reported as findings: failing rules, SANITY_FAILED reduced to leaf paths like the results table
+export function failingRules(rules) {
+    const failing = rules.filter(r => !PASSING_STATUSES.includes(r.status) && r.status !== 'SANITY_FAILED');
+    return failing.concat(groupSanityFailedRules(rules).flatMap(group => group.items));
+}
+
+// Failing leaf of the trace tree that ended the counterexample (last in trace order)
+function failingTraceNode(tree) {
+    let found = null;
+    const visit = (node) => {
+        if (node.failing && !node.children.some(c => c.failing)) found = node;
+        node.children.forEach(visit);
+    };
+    if (tree) visit(tree);
+    return found;
+}
+
+// One-line counterexample summary: status, failing assert and storage changes (first vs last snapshot)
+export function counterexampleSummary(rule, maxChanges = 5) {
+    const parts = [`${formatRuleName(rule.ruleName || '(Unnamed)')} is ${rule.status}`];
+    const callTrace = rule.content?.callTrace;
+    if (callTrace) {
+        const failing = failingTraceNode(buildTraceTree(callTrace));
+        if (failing) parts.push(`failing assert: ${failing.text}`);
+
+        const snapshots = calculateGlobalStateSnapshots(callTrace);
+        if (snapshots.length > 1) {
+            const first = snapshots[0];
+            const last = snapshots[snapshots.length - 1];
+            const changes = Array.from(new Set([...Object.keys(first), ...Object.keys(last)]))
+                .filter(k => first[k] !== last[k])
+                .map(k => `${k}: ${first[k] ?? 'undefined'} → ${last[k] ?? 'undefined'}`);
+            if (changes.length > 0) {
+                const more = changes.length > maxChanges ? ` (+${changes.length - maxChanges} more)` : '';
+                parts.push(`storage changes: ${changes.slice(0, maxChanges).join(', ')}${more}`);
+            }
+        }
+    } else if (rule.error) {
+        parts.push(`rule output could not be fetched: ${rule.error}`);
+    } else {
+        parts.push('no counterexample available');
+    }
+    return parts.join('; ');
+}
+
+// ---------- SARIF 2.1.0 ----------
+
+const SARIF_LEVELS = { VIOLATED: 'error', ERROR: 'error', SANITY_FAILED: 'warning', TIMEOUT: 'note', UNKNOWN: 'note' };
+const MAX_RELATED_LOCATIONS = 10;
+
+// Repository-relative path: without Certora's .certora_sources/ copy prefix and the project path
+function sourceUri(file, projectPath) {
+    let uri = String(file).replace(/\\/g, '/');
+    const sourcesIndex = uri.indexOf('.certora_sources/');
+    if (sourcesIndex !== -1) uri = uri.slice(sourcesIndex + '.certora_sources/'.length);
+    const root = projectPath ? `${String(projectPath).replace(/\\/g, '/').replace(/\/+$/, '')}/` : '';
+    if (root && uri.startsWith(root)) uri = uri.slice(root.length);
+    return uri.replace(/^\.\//, '');
+}
+
+function sarifLocation(location, projectPath, message) {
+    const uri = sourceUri(location.file, projectPath);
+    const artifactLocation = uri.startsWith('/')
+        ? { uri: `file://${encodeURI(uri)}` }
+        : { uri: encodeURI(uri), uriBaseId: '%SRCROOT%' };
+    const result = { physicalLocation: { artifactLocation, region: { startLine: location.line } } };
+    if (message) result.message = { text: message };
+    return result;
+}
+
+// SARIF log for the failing rules of a run.
+// options: annotations (outputFile -> { analysis, analysisResult? }), runUrl, runKey, projectPath (to relativize paths)
+// The primary location is the failing assert's jumpToDefinition, else the first location of the trace.
+export function buildSarifLog(rules, { annotations = {}, runUrl = '', runKey = '', projectPath = '' } = {}) {
+    const findings = failingRules(rules || []);
+    const viewerUrl = /^https?:\/\//.test(runUrl) ? runUrl : '';
+    const ruleIds = Array.from(new Set(findings.map(rule => rule.ruleName || '(Unnamed)')));
+
+    const results = findings.map(rule => {
+        const ruleId = rule.ruleName || '(Unnamed)';
+        const analysis = annotations[rule.outputFile]?.analysis || '';
+        const analysisResult = annotations[rule.outputFile]?.analysisResult || null;
+        const classification = classifyAnalysis(analysis, analysisResult);
+
+        const failing = rule.content?.callTrace ? failingTraceNode(buildTraceTree(rule.content.callTrace)) : null;
+        const locations = rule.content ? collectSourceLocations(rule.content) : [];
+        const primary = failing?.location || locations[0];
+        const related = locations
+            .filter(loc => !primary || loc.file !== primary.file || loc.line !== primary.line)
+            .slice(0, MAX_RELATED_LOCATIONS);
+
+        let message = counterexampleSummary(rule);
+        if (analysisResult) {
+            message += `. Codex: ${CLASSIFICATION_LABELS[analysisResult.classification].toLowerCase()} (confidence ${formatConfidence(analysisResult.confidence)})`;
+        } else if (classification) {
+            message += `. Codex: ${classification === 'false_positive' ? 'false positive' : 'true positive'}`;
+        }
+
+        const result = {
+            ruleId,
+            ruleIndex: ruleIds.indexOf(ruleId),
+            level: SARIF_LEVELS[rule.status] || 'warning',
+            message: { text: message },
+            properties: {
+                status: rule.status,
+                outputFile: rule.sourceOutputFile || rule.outputFile,
+                ...(classification ? { codexClassification: classification, codexAnalysis: analysis } : {}),
+                ...(analysisResult ? { codexResult: analysisResult } : {})
+            }
+        };
+        if (primary) result.locations = [sarifLocation(primary, projectPath)];
+        if (related.length > 0) {
+            result.relatedLocations = related.map((loc, i) => ({ id: i + 1, ...sarifLocation(loc, projectPath, 'Counterexample step') }));
+        }
+        if (viewerUrl) result.hostedViewerUri = viewerUrl;
+        return result;
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: 'Certora Prover',
+                informationUri: 'https://www.certora.com',
+                rules: ruleIds.map(id => ({
+                    id,
+                    name: id.replace(/[^a-zA-Z0-9_]/g, '_'),
+                    shortDescription: { text: `Certora rule ${formatRuleName(id)}` },
+                    ...(viewerUrl ? { helpUri: viewerUrl } : {})
+                }))
+            }
+        },
+        results
+    };
+    if (runKey) run.automationDetails = { id: `certora/${runKey}/` };
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [run]
+    };
+}
+
+// ---------- JUnit XML ----------
+
+// Testcase outcome per prover status; anything not final (RUNNING, PENDING, ...) is skipped
+const JUNIT_OUTCOMES = {
+    VERIFIED: 'passed',
+    SUCCESS: 'passed',
+    VIOLATED: 'failure',
+    SANITY_FAILED: 'failure',
+    TIMEOUT: 'error',
+    UNKNOWN: 'error',
+    ERROR: 'error'
+};
+
+// XML 1.0 text/attribute escaping (control characters are not allowed at all)
+function xmlEscape(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JUnit XML with one testsuite per run and one testcase per rule or sub-rule.
+// suites: [{ name, url?, timestamp?, cases: [{ ruleName, status, markdown?, error? }] }]
+// VIOLATED/SANITY_FAILED are failures, TIMEOUT/UNKNOWN/ERROR errors, VERIFIED passes; the markdown is the failure text.
+export function buildJUnitXml(suites) {
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Certora Prover">\n';
+    suites.forEach((suite, index) => {
+        const outcomes = suite.cases.map(c => JUNIT_OUTCOMES[c.status] || 'skipped');
+        const count = (outcome) => outcomes.filter(o => o === outcome).length;
+        xml += `  <testsuite name="${xmlEscape(suite.name)}" id="${index}" tests="${suite.cases.length}"`
+            + ` failures="${count('failure')}" errors="${count('error')}" skipped="${count('skipped')}"`
+            + (suite.timestamp ? ` timestamp="${xmlEscape(suite.timestamp)}"` : '') + '>\n';
+        if (suite.url) {
+            xml += `    <properties>\n      <property name="url" value="${xmlEscape(suite.url)}"/>\n    </properties>\n`;
+        }
+        suite.cases.forEach((testCase, i) => {
+            // classname: base rule, name: sub-rule path (or the rule itself)
+            const [baseRule, ...subPath] = String(testCase.ruleName || '(Unnamed)').split(' > ');
+            const outcome = outcomes[i];
+            xml += `    <testcase classname="${xmlEscape(baseRule)}" name="${xmlEscape(subPath.join(' > ') || baseRule)}"`;
+            if (outcome === 'passed') {
+                xml += '/>\n';
+                return;
+            }
+            xml += '>\n';
+            if (outcome === 'skipped') {
+                xml += `      <skipped message="${xmlEscape(testCase.status || 'no status')}"/>\n`;
+            } else {
+                const message = testCase.error
+                    ? `${testCase.status} (rule output could not be fetched: ${testCase.error})`
+                    : testCase.status;
+                xml += `      <${outcome} message="${xmlEscape(message)}" type="${xmlEscape(testCase.status)}">`
+                    + `${xmlEscape(testCase.markdown || counterexampleSummary(testCase))}</${outcome}>\n`;
+            }
+            xml += '    </testcase>\n';
+        });
+        xml += '  </testsuite>\n';
+    });
+    return xml + '</testsuites>\n';
+}
+
+// ---------- Standalone HTML report ----------
+
+function htmlEscape(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function inlineMarkdown(text) {
+    return htmlEscape(text)
+        .replace(/`([^`]*)`/g, '<code>$1</code>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/_\[(elided: .+?)\]_/g, '<em>[$1]</em>');
+}
+
+// Table row cells; "\|" is a literal pipe
+function tableCells(line) {
+    return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => inlineMarkdown(cell.trim().replace(/\\\|/g, '|')));
+}
+
+// HTML for the markdown subset the reports use: headings, nested "-" lists, tables, fenced code,
+// blockquotes, rules, **bold** and `code`
+export function markdownToHtml(markdown) {
+    const lines = String(markdown || '').split('\n');
+    let html = '';
+    let listDepth = -1;
+    let paragraph = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) html += `<p>${paragraph.join('<br>')}</p>\n`;
+        paragraph = [];
+    };
+    const closeList = () => {
+        while (listDepth >= 0) { html += '</li></ul>'; listDepth--; }
+        html += '\n';
+    };
+    const closeBlocks = () => { closeParagraph(); if (listDepth >= 0) closeList(); };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let m;
+        if (line.startsWith('```')) {
+            closeBlocks();
+            const code = [];
+            while (++i < lines.length && !lines[i].startsWith('```')) code.push(lines[i]);
+            html += `<pre><code>${htmlEscape(code.join('\n'))}</code></pre>\n`;
+        } else if ((m = line.match(/^(\s*)- (.*)$/))) {
+            closeParagraph();
+            const depth = Math.floor(m[1].length / 2);
+            if (depth > listDepth) {
+                while (listDepth < depth) { html += '<ul>'; listDepth++; }
+            } else {
+                html += '</li>';
+                while (listDepth > depth) { html += '</ul></li>'; listDepth--; }
+            }
+            html += `<li>${inlineMarkdown(m[2])}`;
+        } else if ((m = line.match(/^(#{1,6}) (.*)$/))) {
+            closeBlocks();
+            html += `<h${m[1].length}>${inlineMarkdown(m[2])}</h${m[1].length}>\n`;
+        } else if (/^---+\s*$/.test(line)) {
+            closeBlocks();
+            html += '<hr>\n';
+        } else if (line.startsWith('|')) {
+            closeBlocks();
+            const rows = [];
+            for (; i < lines.length && lines[i].startsWith('|'); i++) rows.push(lines[i]);
+            i--;
+            const body = rows.slice(1).filter(row => !/^\|[\s|:-]+\|?\s*$/.test(row));
+            html += `<table><thead><tr>${tableCells(rows[0]).map(c => `<th>${c}</th>`).join('')}</tr></thead><tbody>`
+                + body.map(row => `<tr>${tableCells(row).map(c => `<td>${c}</td>`).join('')}</tr>`).join('')
+                + '</tbody></table>\n';
+        } else if ((m = line.match(/^> ?(.*)$/))) {
+            closeBlocks();
+            html += `<blockquote>${inlineMarkdown(m[1])}</blockquote>\n`;
+        } else if (line.trim() === '') {
+            closeBlocks();
+        } else {
+            if (listDepth >= 0) closeList();
+            paragraph.push(inlineMarkdown(line));
+        }
+    }
+    closeBlocks();
+    return html;
+}
+
+const REPORT_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #212529; }
+h1 { margin-bottom: 4px; }
+.meta { color: #6c757d; font-size: 14px; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 13px; }
+th, td { border: 1px solid #dee2e6; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #f8f9fa; }
+.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; color: white; background: #6c757d; }
+.status-VIOLATED, .status-ERROR { background: #dc3545; }
+.status-SANITY_FAILED { background: #fd7e14; }
+.status-TIMEOUT, .status-UNKNOWN { background: #6f42c1; }
+.fp { background: #ffc107; color: #212529; }
+.skip { background: #adb5bd; }
+details.rule { border: 1px solid #dee2e6; border-radius: 8px; margin: 12px 0; padding: 0 16px; }
+details.rule > summary { cursor: pointer; padding: 12px 0; font-weight: 600; }
+.markdown { font-size: 14px; }
+.markdown ul { padding-left: 20px; }
+.markdown code { background: #f1f3f5; padding: 1px 4px; border-radius: 4px; font-size: 12px; }
+.markdown pre { background: #1e1e1e; color: #d4d4d4; padding: 12px; border-radius: 6px; overflow-x: auto; }
+.markdown pre code { background: none; color: inherit; padding: 0; }
+.markdown blockquote { margin: 8px 0; padding: 4px 12px; border-left: 4px solid #dee2e6; color: #495057; }
+.analysis { white-space: pre-wrap; background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 6px; padding: 12px; font-size: 13px; }
+`;
+
+// Single-file HTML report of a run (no scripts, no external resources).
+// report: { title?, generatedAt?, sources: [{ label, url }], verificationUrls: [string],
+//           rules: [{ displayName, status, source?, markdown, analysis?, analysisResult?, skipFix?, error? }] }
+export function buildHtmlReport(report) {
+    const rules = report.rules || [];
+    const sources = report.sources || [];
+    const multiSource = sources.length > 1;
+    const title = report.title || 'Certora verification report';
+    const counts = {};
+    rules.forEach(rule => { counts[rule.status] = (counts[rule.status] || 0) + 1; });
+    const falsePositives = rules.filter(rule => classifyAnalysis(rule.analysis, rule.analysisResult) === 'false_positive').length;
+
+    const tags = (rule) => [
+        `<span class="badge status-${htmlEscape(rule.status)}">${htmlEscape(rule.status)}</span>`,
+        rule.analysisResult?.classification === 'false_positive' ? '<span class="badge fp">False positive</span>'
+            : !rule.analysisResult && detectFalsePositive(rule.analysis) ? '<span class="badge fp">False positive?</span>' : '',
+        rule.skipFix ? '<span class="badge skip">Skip fix</span>' : ''
+    ].filter(Boolean).join(' ');
+    const classification = (rule) => {
+        if (rule.analysisResult) {
+            return `${CLASSIFICATION_LABELS[rule.analysisResult.classification]} (${formatConfidence(rule.analysisResult.confidence)})`;
+        }
+        const c = classifyAnalysis(rule.analysis);
+        return c === 'false_positive' ? 'False positive?' : c === 'true_positive' ? 'Likely issue' : 'Not analyzed';
+    };
+
+    let html = `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n<title>${htmlEscape(title)}</title>\n<style>${REPORT_STYLE}</style>\n</head>\n<body>\n`;
+    html += `<h1>${htmlEscape(title)}</h1>\n<p class="meta">Generated ${htmlEscape(report.generatedAt || new Date().toISOString())}</p>\n`;
+
+    html += '<h2>Runs</h2>\n<ul>\n';
+    sources.forEach(source => {
+        const url = String(source.url || '');
+        const link = /^https?:\/\//.test(url) ? `<a href="${htmlEscape(url)}">${htmlEscape(url)}</a>` : htmlEscape(url);
+        html += `<li>${multiSource ? `<strong>${htmlEscape(source.label)}</strong>: ` : ''}${link}</li>\n`;
+    });
+    html += '</ul>\n';
+
+    if ((report.verificationUrls || []).length > 0) {
+        html += '<h2>Verification runs started by fixes</h2>\n<ul>\n';
+        report.verificationUrls.forEach(url => {
+            html += `<li><a href="${htmlEscape(url)}">${htmlEscape(url)}</a></li>\n`;
+        });
+        html += '</ul>\n';
+    }
+
+    html += `<h2>Rules</h2>\n<p>${rules.length} rules: ${Object.entries(counts).map(([status, n]) => `${n} ${htmlEscape(status)}`).join(', ') || 'none'}`
+        + `; ${falsePositives} tagged as possible false positives by Codex.</p>\n`;
+    html += `<table>\n<thead><tr><th>#</th><th>Rule</th><th>Status</th>${multiSource ? '<th>Source</th>' : ''}<th>Codex</th><th>Skip fix</th></tr></thead>\n<tbody>\n`;
+    rules.forEach((rule, i) => {
+        html += `<tr><td>${i + 1}</td><td><a href="#rule-${i + 1}">${htmlEscape(rule.displayName)}</a></td><td>${tags(rule)}</td>`
+            + `${multiSource ? `<td>${htmlEscape(rule.source || '')}</td>` : ''}<td>${classification(rule)}</td><td>${rule.skipFix ? 'Yes' : ''}</td></tr>\n`;
+    });
+    html += '</tbody>\n</table>\n';
+
+    rules.forEach((rule, i) => {
+        html += `<details class="rule" id="rule-${i + 1}" open>\n<summary>${i + 1}. ${htmlEscape(rule.displayName)} ${tags(rule)}</summary>\n`;
+        if (rule.error) html += `<p><strong>Rule output could not be fetched:</strong> ${htmlEscape(rule.error)}</p>\n`;
+        html += `<h3>Codex analysis</h3>\n`;
+        html += rule.analysis ? `<div class="analysis">${htmlEscape(rule.analysis)}</div>\n` : '<p class="meta">Not analyzed.</p>\n';
+        html += `<h3>Counterexample</h3>\n<div class="markdown">${markdownToHtml(rule.markdown) || '<p class="meta">No report.</p>'}</div>\n</details>\n`;
+    });
+
+    return html + '</body>\n</html>\n';
+}
@@ -0,0 +1,1177 @@
+// Counterexample-to-markdown conversion shared by the browser UI and the server.
+// Plain ES module without dependencies: the server imports it directly, certora_analyzer.html
+// loads it from the server at /shared/certora_markdown.mjs and exposes the exports on window.
+
+// Rule name shortened to "A > ... > Z" for titles
+export function formatRuleName(name) {
+    const parts = name.split(' > ');
+    if (parts.length === 1) {
+        return name;
+    }
+    return `${parts[0]} > ... > ${parts[parts.length - 1]}`;
+}
+
+// Per-status markdown templates: title, explanatory note and the sections to render
+export const STATUS_MARKDOWN_TEMPLATES = {
+    VIOLATED: {
+        title: 'Certora Trace Analysis',
+        note: '',
+        sections: ['callTrace', 'variables', 'globalStateDiff', 'storageTimeline', 'sourceSnippets', 'warnings']
+    },
+    SANITY_FAILED: {
+        title: 'Certora Trace Analysis (SANITY_FAILED)',
+        note: 'The sanity check failed: the rule holds only vacuously (e.g. its requirements can never be satisfied), so its assertions were not meaningfully checked.',
+        sections: ['callTrace', 'variables', 'globalStateDiff', 'storageTimeline', 'sourceSnippets', 'warnings']
+    },
+    TIMEOUT: {
+        title: 'Certora Timeout Report',
+        note: 'The prover did not finish this rule within its time limit, so no counterexample is available.',
+        sections: ['details', 'callTrace', 'sourceSnippets', 'warnings']
+    },
+    UNKNOWN: {
+        title: 'Certora Unknown Result Report',
+        note: 'The prover returned an inconclusive result for this rule.',
+        sections: ['details', 'callTrace', 'variables', 'sourceSnippets', 'warnings']
+    },
+    ERROR: {
+        title: 'Certora Error Report',
+        note: 'The prover reported an error while checking this rule.',
+        sections: ['details', 'callTrace', 'sourceSnippets', 'warnings']
+    }
+};
+
+// Markdown section renderers used by the status templates
+export const MARKDOWN_SECTIONS = {
+    // Prover details from the progress tree (rules without a rule_output file)
+    details(traceData, rule) {
+        const entries = Object.entries(rule.nodeInfo || {});
+        let md = '';
+        if (entries.length > 0 || rule.error || rule.noOutput) {
+            md += `## ℹ️ Prover Details\n\n`;
+            entries.forEach(([key, value]) => {
+                md += `- **${key}**: \`${Array.isArray(value) ? value.join(', ') : value}\`\n`;
+            });
+            if (rule.noOutput) md += `- No rule output file was produced for this rule\n`;
+            if (rule.error) md += `- **Fetch error**: ${rule.error}\n`;
+            md += `\n`;
+        }
+        return md;
+    },
+
+    // 1. Call Trace (first position)
+    callTrace(traceData, rule, options = {}) {
+        if (!traceData.callTrace) return '';
+        let md = `## 🌳 Call Trace\n\n`;
+        if (options.traceBudget > 0) {
+            return md + compactTraceToMarkdown(traceData.callTrace, options.traceBudget);
+        }
+        let globalStateCounter = 1;
+        // Track last global state snapshot to show inline diffs at GS nodes
+        md += convertTraceToMarkdown(traceData.callTrace, 0, { counter: globalStateCounter, lastGS: null });
+        return md;
+    },
+
+    // 2. Variables (second) - from variables array
+    variables(traceData) {
+        let md = `\n## 📊 Variables\n\n`;
+        if (traceData.variables && Array.isArray(traceData.variables) && traceData.variables.length > 0) {
+            md += renderVariablesFromArray(traceData.variables, collectAddressLabels(traceData.callTrace));
+        } else {
+            md += `No variable data\n\n`;
+        }
+        return md;
+    },
+
+    // 3. Global State Diff (third): only final vs initial snapshot with change locations
+    globalStateDiff(traceData) {
+        let md = '';
+        const gsInfo = calculateGlobalStateSnapshotsWithLabels(traceData.callTrace);
+        if (gsInfo && Array.isArray(gsInfo.snapshots) && gsInfo.snapshots.length > 1) {
+            const firstState = gsInfo.snapshots[0];
+            const lastState = gsInfo.snapshots[gsInfo.snapshots.length - 1];
+            const finalDiff = {};
+            const keys = new Set([...Object.keys(firstState), ...Object.keys(lastState)]);
+            keys.forEach(k => {
+                const a = firstState[k];
+                const b = lastState[k];
+                if (a !== b) finalDiff[k] = { from: a ?? 'undefined', to: b ?? 'undefined', changed: true };
+            });
+            if (Object.keys(finalDiff).length > 0) {
+                const locMap = calculateFirstChangeLocations(gsInfo.snapshots, gsInfo.labels);
+                md += `## 🔄 Global State Diff\n\n`;
+                md += renderGlobalStateDiffWithLocation(finalDiff, locMap);
+            }
+        }
+        return md;
+    },
+
+    // 4. Storage timeline over all snapshots (intermediate writes); options.storageFilter narrows the rows
+    storageTimeline(traceData, rule, options = {}) {
+        if (!traceData.callTrace) return '';
+        const timeline = buildStorageTimeline(traceData.callTrace, { filter: options.storageFilter });
+        if (timeline.labels.length < 2 || timeline.rows.length === 0) return '';
+        return `## 📈 Storage Timeline\n\n` + renderStorageTimelineMarkdown(timeline);
+    },
+
+    // 5. Source lines at jumpToDefinition locations (options.sourceSnippets from the server's /source-snippets)
+    sourceSnippets(traceData, rule, options = {}) {
+        if (!options.sourceSnippets) return '';
+        return renderSourceSnippets(collectSourceLocations(traceData), options.sourceSnippets);
+    },
+
+    // 6. Call Resolution Warnings (last position)
+    warnings(traceData) {
+        let md = '';
+        if (traceData.callResolutionWarnings && traceData.callResolutionWarnings.length > 0) {
+            md += `## 🚨 Call Resolution Warnings\n\n`;
+            traceData.callResolutionWarnings.forEach((warning, index) => {
+                md += `### Warning #${index + 1}\n\n`;
+                if (warning.caller) {
+                    md += `**Caller**: ${warning.caller.name || 'Unknown'}\n`;
+                }
+                if (warning.callee) {
+                    md += `**Callee**: ${warning.callee.name || 'Unknown'}\n`;
+                }
+                if (warning.summary) {
+                    md += `**Summary**: ${warning.summary}\n`;
+                }
+                if (warning.callSite) {
+                    md += `**Call Site**: ${warning.callSite.snippet || 'Unknown'}\n`;
+                    if (warning.callSite.jumpToDefinition) {
+                        md += `**Location**: ${warning.callSite.jumpToDefinition.file}:${warning.callSite.jumpToDefinition.start.line}\n`;
+                    }
+                }
+                if (warning.comments && warning.comments.length > 0) {
+                    md += `**Comments**:\n`;
+                    warning.comments.forEach(comment => {
+                        if (typeof comment === 'object') {
+                            const key = Object.keys(comment)[0];
+                            md += `- **${key}**: ${comment[key]}\n`;
+                        } else {
+                            md += `- ${comment}\n`;
+                        }
+                    });
+                }
+                md += `\n`;
+            });
+        }
+        return md;
+    }
+};
+
+// convertToMarkdown function (rewritten based on reference project)
+// options.traceBudget: compact the call trace to at most this many characters (0 = full trace)
+export function convertToMarkdown(rule, options = {}) {
+    const template = STATUS_MARKDOWN_TEMPLATES[rule.status] || STATUS_MARKDOWN_TEMPLATES.VIOLATED;
+    const traceData = rule.content || {};
+    // Title uses truncated style "A > ... > Z" (preference B)
+    const headerRuleName = formatRuleName(rule.ruleName);
+    let md = `# ${template.title}\n\n`;
+    md += `**Rule:** ${headerRuleName}\n`;
+    md += `**Status:** ${rule.status}\n\n`;
+    if (template.note) {
+        md += `> ${template.note}\n\n`;
+    }
+
+    template.sections.forEach(section => {
+        md += MARKDOWN_SECTIONS[section](traceData, rule, options);
+    });
+
+    return md;
+}
+
+// Build merged markdown for SANITY_FAILED rules under same base rule
+export function buildMergedSanityMarkdown(baseRuleName, items, options = {}) {
+    // Header
+    let md = `# Certora Trace Analysis (SANITY_FAILED)\n\n`;
+    md += `**Rule:** ${formatRuleName(baseRuleName)}\n`;
+    md += `**Status:** SANITY_FAILED (${items.length} sub-rules)\n\n`;
+
+    // Call Trace section - show each sub-rule
+    md += `## 🌳 Call Trace\n\n`;
+    
+    items.forEach((item, index) => {
+        if (!item || !item.content) return;
+        
+        const traceData = item.content;
+        const fullRuleName = item.ruleName || baseRuleName;
+        
+        // Show sub-path as header (remove base rule name since it's already in the main title)
+        const subPath = fullRuleName.split(' > ').slice(1).join(' > ') || fullRuleName;
+        md += `### ${subPath}\n\n`;
+        
+        // Add the trace directly (a trace budget is shared between sub-rules)
+        if (traceData.callTrace && options.traceBudget > 0) {
+            md += compactTraceToMarkdown(traceData.callTrace, Math.floor(options.traceBudget / items.length)) + `\n\n`;
+        } else if (traceData.callTrace) {
+            let globalStateCounter = 1;
+            const traceMd = convertTraceToMarkdown(traceData.callTrace, 0, { counter: globalStateCounter });
+            md += traceMd + `\n\n`;
+        }
+        
+        // Add variables if present
+        if (traceData.variables && Array.isArray(traceData.variables) && traceData.variables.length > 0) {
+            md += `**Variables:**\n`;
+            md += renderVariablesFromArray(traceData.variables, collectAddressLabels(traceData.callTrace));
+            md += `\n`;
+        }
+        
+        // Add separator between sub-rules if not the last one
+        if (index < items.length - 1) {
+            md += `---\n\n`;
+        }
+    });
+
+    if (options.sourceSnippets) {
+        const locations = items.flatMap(item => item && item.content ? collectSourceLocations(item.content) : []);
+        md += renderSourceSnippets(locations, options.sourceSnippets);
+    }
+
+    // Warnings section if any
+    let hasWarnings = items.some(item => 
+        item && item.content && item.content.callResolutionWarnings && 
+        item.content.callResolutionWarnings.length > 0
+    );
+    
+    if (hasWarnings) {
+        md += `\n## 🚨 Call Resolution Warnings\n\n`;
+        items.forEach((item) => {
+            if (!item || !item.content || !item.content.callResolutionWarnings) return;
+            
+            const fullRuleName = item.ruleName || baseRuleName;
+            const warnings = item.content.callResolutionWarnings;
+            
+            warnings.forEach((warning) => {
+                const parts = [];
+                // Use sub-path for warnings too
+                const subPath = fullRuleName.split(' > ').slice(1).join(' > ') || fullRuleName;
+                parts.push(subPath);
+                if (warning.caller) parts.push(`Caller: ${warning.caller.name || 'Unknown'}`);
+                if (warning.callee) parts.push(`Callee: ${warning.callee.name || 'Unknown'}`);
+                if (warning.summary) parts.push(`Summary: ${warning.summary}`);
+                md += `- ${parts.join(' | ')}\n`;
+            });
+        });
+    }
+
+    return md;
+}
+
+// SANITY_FAILED rules: keep leaf paths only and group them by base rule name.
+// Rules of different runs (sourceIndex) never share a group.
+export function groupSanityFailedRules(rules) {
+    const allSanityRules = rules.filter(r => r.status === 'SANITY_FAILED');
+
+    // Leaf nodes: rules that are not prefixes of other rules of the same run
+    const leafRules = allSanityRules.filter(rule => {
+        const ruleName = rule.ruleName || '';
+        return !allSanityRules.some(other => {
+            const otherName = other.ruleName || '';
+            return (other.sourceIndex ?? 0) === (rule.sourceIndex ?? 0)
+                && otherName !== ruleName && otherName.startsWith(ruleName + ' > ');
+        });
+    });
+
+    const groups = new Map();
+    leafRules.forEach(rule => {
+        // Base rule name: everything before first ' > '
+        const baseRuleName = (rule.ruleName || '(Unnamed)').split(' > ')[0].trim();
+        const key = `${rule.sourceIndex ?? 0}|${baseRuleName}`;
+        if (!groups.has(key)) groups.set(key, { baseRuleName, items: [] });
+        groups.get(key).items.push(rule);
+    });
+    return Array.from(groups.values());
+}
+
+// One report per displayed rule: VIOLATED/TIMEOUT/UNKNOWN/ERROR as-is, SANITY_FAILED leaves merged per base rule.
+// Merged groups carry groupId (sanity_group_<name>) and all their items.
+export function buildRuleReports(rules, options = {}) {
+    const reports = [];
+
+    rules.filter(r => r.status !== 'SANITY_FAILED').forEach(rule => {
+        reports.push({
+            rule,
+            items: [rule],
+            displayName: rule.ruleName,
+            markdown: (rule.content || rule.noOutput) ? convertToMarkdown(rule, options) : ''
+        });
+    });
+
+    groupSanityFailedRules(rules).forEach(({ baseRuleName, items }) => {
+        if (items.length === 1 && items[0].ruleName === baseRuleName) {
+            // Single rule with no sub-paths
+            reports.push({
+                rule: items[0],
+                items,
+                displayName: items[0].ruleName,
+                markdown: items[0].content ? convertToMarkdown(items[0], options) : ''
+            });
+        } else {
+            reports.push({
+                rule: items[0],
+                items,
+                baseRuleName,
+                groupId: `sanity_group_${baseRuleName.replace(/[^a-zA-Z0-9]/g, '_')}`,
+                displayName: `${baseRuleName} (${items.length} sub-rules)`,
+                markdown: buildMergedSanityMarkdown(baseRuleName, items, options)
+            });
+        }
+    });
+
+    return reports;
+}
+
+// ---------- Value rendering ----------
+//
+// Counterexample values arrive as raw strings (hex or decimal). formatTraceValue adds, where it helps:
+//   - the contract name for addresses that the trace names somewhere ("Token (0x2711)", "Token at 0x2711")
+//   - true/false and enum member names when the argument carries a type ("bool", "enum Side {Buy, Sell}")
+//   - hex, decimal and the nearest power-of-two anchor for large values (max_uint256 - 1, 2^128 + 3, ...)
+//   - a boundary marker for values right at a max/min or an exact large power of two
+// Rendered values never contain ': ' since Global State entries are split on it.
+
+const LARGE_VALUE = 1n << 64n;
+const BOUNDARY_BITS = [8, 16, 32, 64, 96, 128, 160, 192, 224, 256];
+const BOUNDARY_MARK = ' ⚠️ boundary';
+const MAX_ANCHOR_OFFSET = 1n << 32n;
+const MAX_BOUNDARY_OFFSET = 16n;
+
+const VALUE_ANCHORS = (() => {
+    const anchors = [];
+    for (const bits of BOUNDARY_BITS) {
+        anchors.push({ name: `max_uint${bits}`, value: (1n << BigInt(bits)) - 1n, max: true });
+        anchors.push({ name: `max_int${bits}`, value: (1n << BigInt(bits - 1)) - 1n, max: true });
+    }
+    for (let k = 32; k < 256; k++) {
+        anchors.push({ name: `2^${k}`, value: 1n << BigInt(k), max: false });
+    }
+    return anchors;
+})();
+
+const addressLabelCache = new WeakMap();
+
+// BigInt for a hex or non-negative decimal string, else null
+function parseBigInt(text) {
+    const s = String(text ?? '').trim();
+    if (/^0x[0-9a-f]+$/i.test(s) || /^\d+$/.test(s)) return BigInt(s);
+    return null;
+}
+
+// "Name.A (0)" for an enum type written as "enum Name {A, B}" or "Name {A, B}"
+function enumMember(type, n) {
+    const match = /^(?:enum\s+)?([A-Za-z_][\w.]*)\s*\{([^}]*)\}/.exec(type);
+    if (!match) return null;
+    const members = match[2].split(',').map(m => m.trim()).filter(Boolean);
+    const member = n < BigInt(members.length) ? members[Number(n)] : `<invalid ${n}>`;
+    return `${match[1]}.${member} (${n})`;
+}
+
+// Decimal, nearest anchor and signed reading of a large value; boundary when close to a max/min
+function describeLargeValue(n) {
+    const parts = [n.toString()];
+    let best = null;
+    let boundary = false;
+    for (const anchor of VALUE_ANCHORS) {
+        const offset = n - anchor.value;
+        const distance = offset < 0n ? -offset : offset;
+        if (!best || distance < best.distance) best = { anchor, offset, distance };
+        if (anchor.max ? distance <= MAX_BOUNDARY_OFFSET : offset === 0n && anchor.value >= LARGE_VALUE) boundary = true;
+    }
+    const limit = best.anchor.value >= LARGE_VALUE ? MAX_ANCHOR_OFFSET : MAX_BOUNDARY_OFFSET;
+    if (best.distance <= limit) {
+        const sign = best.offset < 0n ? ' - ' : ' + ';
+        parts.push(best.offset === 0n ? best.anchor.name : `${best.anchor.name}${sign}${best.distance}`);
+    }
+    if (n >= 1n << 255n && n < 1n << 256n) {
+        const signed = n - (1n << 256n);
+        parts.push(`${signed} as int256`);
+    }
+    return { text: parts.join(', '), boundary };
+}
+
+// Render one counterexample value; `values` are alternative representations, `labels` come from collectAddressLabels
+export function formatTraceValue(value, { values = null, type = null, labels = null } = {}) {
+    const raw = String(value);
+    const n = parseBigInt(raw);
+    const typeName = typeof type === 'string' ? type.trim() : '';
+
+    if (n !== null) {
+        if (typeName === 'bool') return n === 0n ? 'false' : 'true';
+        if (typeName.includes('{')) {
+            const member = enumMember(typeName, n);
+            if (member) return member;
+        }
+        const label = labels?.[n.toString(16)];
+        if (label && n !== 0n) return `${raw} (${label})`;
+        if (typeName === 'address' || (/^0x[0-9a-f]{40}$/i.test(raw) && n >= LARGE_VALUE)) return raw;
+        if (n >= 1000000n) {
+            const { text, boundary } = describeLargeValue(n);
+            const hex = raw.startsWith('0x') ? raw : `0x${n.toString(16)}`;
+            return `${hex} (${text})${boundary ? BOUNDARY_MARK : ''}`;
+        }
+        if (raw.startsWith('0x') && n >= 10n) return `${raw} (${n})`;
+    }
+
+    // If multiple representations exist, prefer the more readable one
+    if (Array.isArray(values) && values.length > 1) {
+        const decValue = values.find(v => !String(v).startsWith('0x') && v !== value && !isNaN(v));
+        if (decValue && parseInt(decValue) < 1000000) return `${raw} (${decValue})`;
+    }
+    return raw;
+}
+
+// Address -> contract name, from trace texts such as "Token (0x2711)", "Token@0x2711" or "Token at 10001".
+// Keys are lowercase hex without 0x; the first name seen for an address wins.
+export function collectAddressLabels(callTrace) {
+    if (!callTrace || typeof callTrace !== 'object') return {};
+    if (addressLabelCache.has(callTrace)) return addressLabelCache.get(callTrace);
+
+    const labels = {};
+    const pattern = /\b([A-Z][A-Za-z0-9_]*)\s*(?:\(\s*(0x[0-9a-fA-F]+)\s*\)|(?:@|\s+at\s+)(0x[0-9a-fA-F]+|\d+)\b)/g;
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        let text = node.message?.text || '';
+        (node.message?.arguments || []).forEach((arg, index) => {
+            text = text.replace(`{${index}}`, arg?.value ?? arg?.values?.[0] ?? '');
+        });
+        for (const match of text.matchAll(pattern)) {
+            const n = parseBigInt(match[2] || match[3]);
+            if (n === null || n === 0n) continue;
+            const key = n.toString(16);
+            if (!(key in labels)) labels[key] = match[1];
+        }
+        (node.childrenList || []).forEach(visit);
+    };
+    visit(callTrace);
+    addressLabelCache.set(callTrace, labels);
+    return labels;
+}
+
+// Message text of a call trace node with {i} placeholders replaced by rendered argument values
+function renderTraceMessage(node, labels = null) {
+    let messageText = node.message?.text || '';
+    if (node.message?.arguments) {
+        node.message.arguments.forEach((arg, index) => {
+            const placeholder = `{${index}}`;
+            let value = '?';
+
+            if (arg.value !== undefined) {
+                value = formatTraceValue(arg.value, { values: arg.values, type: arg.type, labels });
+            } else if (arg.values && Array.isArray(arg.values) && arg.values.length > 0) {
+                value = arg.values[0];
+            }
+
+            messageText = messageText.replace(placeholder, value);
+        });
+    }
+    return messageText;
+}
+
+// Call Trace conversion - show inline Global State changes at GS nodes
+export function convertTraceToMarkdown(node, level, context = { counter: 1, lastGS: null }) {
+    const indent = '  '.repeat(level);
+    let md = '';
+
+    if (!context.labels) context.labels = collectAddressLabels(node);
+    let messageText = renderTraceMessage(node, context.labels);
+
+    const isGlobalStateNode = messageText === 'Global State';
+    if (isGlobalStateNode) {
+        messageText = `Global State #${context.counter}`;
+        context.counter++;
+    }
+
+    const statusBadge = node.status && node.status.trim() ? ` **[${node.status}]**` : '';
+    md += `${indent}- ${messageText}${statusBadge}\n`;
+
+    if (isGlobalStateNode) {
+        // Extract current snapshot
+        const curr = extractStateFromGlobalNode(node, null, context.labels);
+        const prev = context.lastGS;
+        if (!prev) {
+            // First snapshot: print full
+            const keys = Object.keys(curr);
+            if (keys.length === 0) {
+                md += `${indent}  - (empty)\n`;
+            } else {
+                keys.forEach(k => {
+                    md += `${indent}  - **${k}**: \`${curr[k]}\`\n`;
+                });
+            }
+        } else {
+            // Diff vs previous snapshot
+            const keys = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+            let changed = 0;
+            keys.forEach(k => {
+                const a = prev[k];
+                const b = curr[k];
+                if (a !== b) {
+                    md += `${indent}  - **${k}**: \`${a ?? 'undefined'}\` → \`${b ?? 'undefined'}\` ✨\n`;
+                    changed++;
+                }
+            });
+            if (changed === 0) {
+                md += `${indent}  - unchanged\n`;
+            }
+        }
+        context.lastGS = curr;
+    } else if (node.childrenList && node.childrenList.length > 0) {
+        node.childrenList.forEach(child => {
+            md += convertTraceToMarkdown(child, level + 1, context);
+        });
+    }
+
+    return md;
+}
+
+// ---------- Trace compaction (size budget for Codex prompts) ----------
+//
+// Escalating steps until the rendered trace fits the budget (in characters):
+//   1. collapse identical sibling/earlier subtrees and unchanged Global State snapshots
+//   2. elide calls below a decreasing depth whose subtree touches no changed storage
+//   3. keep only the call path to the failing assert and to storage changes
+//   4. hard truncation around the failing assert as last resort (its line and call path stay)
+// The failing assert, changed storage and the path to them are always kept; every elision is marked.
+
+const TRACE_COMPACTION_DEPTHS = [8, 6, 4, 3, 2, 1];
+
+const elided = (what) => `_[elided: ${what}]_`;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// 32-bit FNV-1a, enough to recognise identical subtrees
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+function isFailingTraceNode(node, text) {
+    const status = String(node.status || '').trim().toUpperCase();
+    if (status === 'FAILURE' || status === 'VIOLATED' || status === 'ERROR') return true;
+    return /^assert\b/i.test(text) && status !== '' && status !== 'SUCCESS';
+}
+
+// Storage variable name of a Global State key, e.g. "Token.balanceOf[0x12]" -> "balanceOf"
+function storageName(key) {
+    const base = String(key).split('[')[0];
+    const parts = base.split('.').map(p => p.trim()).filter(Boolean);
+    return parts[parts.length - 1] || base;
+}
+
+// Annotate every node with rendered text, size, subtree signature and whether it matters for the violation
+function analyzeTrace(callTrace) {
+    const labels = collectAddressLabels(callTrace);
+    const gsNodes = [];
+    collectGlobalStateNodes(callTrace, gsNodes);
+    const snapshots = gsNodes.map(node => extractStateFromGlobalNode(node, null, labels));
+    const gsIndex = new Map(gsNodes.map((node, i) => [node, i]));
+
+    const changedKeys = new Set();
+    for (let i = 1; i < snapshots.length; i++) {
+        const keys = new Set([...Object.keys(snapshots[i - 1]), ...Object.keys(snapshots[i])]);
+        keys.forEach(k => { if (snapshots[i - 1][k] !== snapshots[i][k]) changedKeys.add(k); });
+    }
+    const changedNames = Array.from(new Set(Array.from(changedKeys).map(storageName)))
+        .filter(name => name.length >= 3)
+        .map(name => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`));
+
+    const info = new Map();
+    const visit = (node) => {
+        const text = renderTraceMessage(node);
+        const children = Array.isArray(node.childrenList) ? node.childrenList : [];
+        const isGS = gsIndex.has(node);
+        let size = 1;
+        let important = isFailingTraceNode(node, text);
+        let failing = important;
+        if (isGS) {
+            const i = gsIndex.get(node);
+            important = important || (i > 0 && Object.keys(snapshots[i]).some(k => snapshots[i - 1][k] !== snapshots[i][k]));
+        } else if (changedNames.some(re => re.test(text))) {
+            important = true;
+        }
+        const childSigs = [];
+        if (!isGS) {
+            for (const child of children) {
+                const c = visit(child);
+                size += c.size;
+                important = important || c.important;
+                failing = failing || c.failing;
+                childSigs.push(c.signature);
+            }
+        }
+        const entry = { text, size, important, failing, isGS, signature: fnv1a(`${text}|${node.status || ''}|${childSigs.join(',')}`) };
+        info.set(node, entry);
+        return entry;
+    };
+    visit(callTrace);
+
+    return { info, snapshots, gsIndex, changedKeys };
+}
+
+function renderCompactTrace(node, level, analysis, opts, seen) {
+    const indent = '  '.repeat(level);
+    const { info, snapshots, gsIndex, changedKeys } = analysis;
+    const entry = info.get(node);
+    const statusBadge = node.status && node.status.trim() ? ` **[${node.status}]**` : '';
+
+    if (entry.isGS) {
+        const i = gsIndex.get(node);
+        const curr = snapshots[i];
+        const label = `Global State #${i + 1}`;
+        if (i === 0) {
+            // Initial snapshot: only the entries that change later on
+            const keys = Object.keys(curr);
+            const shown = keys.filter(k => changedKeys.has(k));
+            const hidden = keys.length - shown.length;
+            let md = `${indent}- ${label}${statusBadge}\n`;
+            if (keys.length === 0) md += `${indent}  - (empty)\n`;
+            shown.forEach(k => { md += `${indent}  - **${k}**: \`${curr[k]}\`\n`; });
+            if (hidden > 0) md += `${indent}  - ${elided(hidden === 1 ? '1 entry that never changes' : `${hidden} entries that never change`)}\n`;
+            return md;
+        }
+        const prev = snapshots[i - 1];
+        const keys = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+        const changes = Array.from(keys).filter(k => prev[k] !== curr[k]);
+        if (changes.length === 0) return `${indent}- ${label} (unchanged)\n`;
+        let md = `${indent}- ${label}${statusBadge}\n`;
+        changes.forEach(k => { md += `${indent}  - **${k}**: \`${prev[k] ?? 'undefined'}\` → \`${curr[k] ?? 'undefined'}\` ✨\n`; });
+        return md;
+    }
+
+    let md = `${indent}- ${entry.text}${statusBadge}`;
+    const children = Array.isArray(node.childrenList) ? node.childrenList : [];
+    if (children.length === 0) return md + '\n';
+
+    if (!entry.important && level >= opts.maxDepth) {
+        return md + ` ${elided(`${plural(entry.size - 1, 'nested call')} without storage changes`)}\n`;
+    }
+    md += '\n';
+
+    let i = 0;
+    while (i < children.length) {
+        const child = children[i];
+        const c = info.get(child);
+
+        if (opts.pathOnly && !c.important) {
+            let j = i;
+            let count = 0;
+            while (j < children.length && !info.get(children[j]).important) { count += info.get(children[j]).size; j++; }
+            md += `${indent}  - ${elided(`${plural(count, 'call')} off the failing path`)}\n`;
+            i = j;
+            continue;
+        }
+
+        // Identical consecutive siblings (e.g. loops) are shown once
+        let j = i + 1;
+        while (j < children.length && info.get(children[j]).signature === c.signature) j++;
+
+        if (!c.failing && c.size >= 3 && seen.has(c.signature)) {
+            md += `${indent}  - ${c.text} ${elided(`identical to an earlier subtree (${c.size} nodes)`)}\n`;
+        } else {
+            seen.add(c.signature);
+            md += renderCompactTrace(child, level + 1, analysis, opts, seen);
+        }
+        if (j - i > 1) md += `${indent}  - ${elided(`${plural(j - i - 1, 'identical repetition')}`)}\n`;
+        i = j;
+    }
+    return md;
+}
+
+// Nodes from the root to the failing assert: the last failing child at every level
+function failingPath(callTrace, info) {
+    if (!info.get(callTrace)?.failing) return [];
+    const path = [callTrace];
+    while (true) {
+        const children = Array.isArray(path.at(-1).childrenList) ? path.at(-1).childrenList : [];
+        const next = children.findLast(child => info.get(child)?.failing && !info.get(child).isGS);
+        if (!next) return path;
+        path.push(next);
+    }
+}
+
+// Step 4: keep the call path to the failing assert and as much context around its line as fits,
+// with the beginning of the trace when there is no failing node to anchor on
+function truncateTrace(md, callTrace, analysis, budget) {
+    const lines = failingPath(callTrace, analysis.info).map((node, level) => {
+        const status = node.status && node.status.trim() ? ` **[${node.status}]**` : '';
+        return `${'  '.repeat(level)}- ${analysis.info.get(node).text}${status}\n`;
+    });
+    // Position of every path line in the rendered trace, searched in order
+    const positions = [];
+    let from = 0;
+    for (const line of lines) {
+        const at = md.indexOf(line, from);
+        if (at === -1) break;
+        positions.push(at);
+        from = at + line.length;
+    }
+    if (lines.length === 0 || positions.length < lines.length) {
+        const head = md.slice(0, Math.floor(budget / 2)).replace(/[^\n]*$/, '');
+        const tail = md.slice(md.length - Math.floor(budget / 2)).replace(/^[^\n]*\n/, '');
+        return `${head}${elided(`${md.length - head.length - tail.length} characters (trace truncated)`)}\n${tail}`;
+    }
+
+    const failingAt = positions.at(-1);
+    const failingEnd = failingAt + lines.at(-1).length;
+    const marker = (chars) => `${elided(`${chars} characters (trace truncated)`)}\n`;
+    const room = Math.max(0, budget - lines.join('').length - 2 * marker(md.length).length);
+    // Context before the failing line (what led to it) gets two thirds of the room
+    let start = Math.max(0, failingAt - Math.floor(room * 2 / 3));
+    if (start > 0) start = Math.min(failingAt, md.indexOf('\n', start - 1) + 1);
+    let end = Math.min(md.length, failingEnd + (room - (failingAt - start)));
+    if (end < md.length) end = md.lastIndexOf('\n', end - 1) + 1;
+    end = Math.max(end, failingEnd);
+
+    // Ancestors above the window are repeated so the failing line keeps its call path
+    const ancestors = lines.slice(0, -1).filter((line, i) => positions[i] < start).join('');
+    const before = start > 0 ? `${ancestors}${marker(start)}` : '';
+    const after = end < md.length ? marker(md.length - end) : '';
+    return `${before}${md.slice(start, end)}${after}`;
+}
+
+// Call trace markdown that fits into `budget` characters (see steps above)
+export function compactTraceToMarkdown(callTrace, budget) {
+    const full = convertTraceToMarkdown(callTrace, 0, { counter: 1, lastGS: null });
+    if (!callTrace || !(budget > 0) || full.length <= budget) return full;
+
+    const analysis = analyzeTrace(callTrace);
+    const attempts = [{ maxDepth: Infinity }]
+        .concat(TRACE_COMPACTION_DEPTHS.map(maxDepth => ({ maxDepth })))
+        .concat([{ maxDepth: 0, pathOnly: true }]);
+
+    let md = '';
+    for (const opts of attempts) {
+        md = renderCompactTrace(callTrace, 0, analysis, opts, new Set());
+        if (md.length <= budget) break;
+    }
+    const note = `> Trace compacted from ${full.length} to at most ${budget} characters; elided parts are marked.\n\n`;
+    if (md.length > budget) md = truncateTrace(md, callTrace, analysis, budget);
+    return note + md;
+}
+
+// Tree model of a call trace for interactive viewers and exports:
+//   { text, status, failing, containsFailure, location, children, globalState? }
+// location is the node's first jumpToDefinition ({ file, line }) or null.
+// Global State nodes carry { index, diff: [{ key, before, after }] } against the previous snapshot
+// (all entries for the first one) instead of their raw children.
+export function buildTraceTree(callTrace) {
+    if (!callTrace) return null;
+    const labels = collectAddressLabels(callTrace);
+    const gsNodes = [];
+    collectGlobalStateNodes(callTrace, gsNodes);
+    const snapshots = gsNodes.map(node => extractStateFromGlobalNode(node, null, labels));
+    const gsIndex = new Map(gsNodes.map((node, i) => [node, i]));
+
+    const visit = (node) => {
+        const text = renderTraceMessage(node);
+        const entry = {
+            text,
+            status: String(node.status || '').trim(),
+            failing: isFailingTraceNode(node, text),
+            location: definitionLocations(node.jumpToDefinition ?? node.message?.jumpToDefinition)[0] || null,
+            children: []
+        };
+        if (gsIndex.has(node)) {
+            const i = gsIndex.get(node);
+            const prev = i > 0 ? snapshots[i - 1] : {};
+            const curr = snapshots[i];
+            const keys = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+            entry.text = `Global State #${i + 1}`;
+            entry.globalState = {
+                index: i + 1,
+                initial: i === 0,
+                diff: Array.from(keys)
+                    .filter(k => prev[k] !== curr[k])
+                    .map(k => ({ key: k, before: prev[k], after: curr[k] }))
+            };
+        } else if (Array.isArray(node.childrenList)) {
+            entry.children = node.childrenList.map(visit);
+        }
+        entry.containsFailure = entry.failing || entry.children.some(c => c.containsFailure);
+        return entry;
+    };
+    return visit(callTrace);
+}
+
+// Compute Global State snapshots (states only)
+export function calculateGlobalStateSnapshots(callTrace) {
+    const globalStateNodes = [];
+
+    // Collect all Global State nodes
+    collectGlobalStateNodes(callTrace, globalStateNodes);
+
+    if (globalStateNodes.length === 0) {
+        return [];
+    }
+
+    // Extract each Global State snapshot
+    const labels = collectAddressLabels(callTrace);
+    const snapshots = [];
+    for (const node of globalStateNodes) {
+        const state = extractStateFromGlobalNode(node, null, labels);
+        snapshots.push(state);
+    }
+    return snapshots;
+}
+
+// Compute Global State snapshots with display labels (e.g., Global State #i)
+export function calculateGlobalStateSnapshotsWithLabels(callTrace) {
+    const addressLabels = collectAddressLabels(callTrace);
+    const globalStateNodes = [];
+    collectGlobalStateNodes(callTrace, globalStateNodes);
+    const snapshots = [];
+    const labels = [];
+    for (let i = 0; i < globalStateNodes.length; i++) {
+        const state = extractStateFromGlobalNode(globalStateNodes[i], null, addressLabels);
+        snapshots.push(state);
+        labels.push(`Global State #${i + 1}`);
+    }
+    return { snapshots, labels };
+}
+
+// For each key, find the first snapshot index where it changes vs previous; return key -> label
+export function calculateFirstChangeLocations(snapshots, labels) {
+    const locMap = Object.create(null);
+    if (!Array.isArray(snapshots) || snapshots.length < 2) return locMap;
+    for (let i = 1; i < snapshots.length; i++) {
+        const prev = snapshots[i - 1];
+        const curr = snapshots[i];
+        const keys = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+        keys.forEach(k => {
+            if (locMap[k] != null) return;
+            if (prev[k] !== curr[k]) {
+                locMap[k] = labels && labels[i] ? labels[i] : `Global State #${i + 1}`;
+            }
+        });
+    }
+    return locMap;
+}
+
+// Recursively collect all Global State nodes
+export function collectGlobalStateNodes(node, globalStateNodes) {
+    if (node && node.message && node.message.text === "Global State") {
+        globalStateNodes.push(node);
+    }
+
+    if (node && node.childrenList) {
+        node.childrenList.forEach(child => {
+            collectGlobalStateNodes(child, globalStateNodes);
+        });
+    }
+}
+
+// Extract state info from Global State node; `groups` (optional) receives key -> enclosing group (e.g. contract),
+// `labels` (optional, see collectAddressLabels) names known addresses in keys and values
+export function extractStateFromGlobalNode(globalStateNode, groups = null, labels = null) {
+    const state = {};
+
+    if (globalStateNode.childrenList) {
+        globalStateNode.childrenList.forEach(child => {
+            extractStateRecursively(child, state, groups, [], labels);
+        });
+    }
+
+    return state;
+}
+
+// Recursively extract state info
+function extractStateRecursively(node, state, groups = null, parents = [], labels = null) {
+    // If node has arguments, this indicates a state record
+    if (node.message && node.message.arguments && node.message.arguments.length > 0) {
+        // Replace placeholders to get the full state path
+        let fullPath = node.message.text;
+        let stateValue = null;
+
+        node.message.arguments.forEach((arg, index) => {
+            const placeholder = `{${index}}`;
+            if (fullPath.includes(placeholder)) {
+                if (arg.value && arg.value !== '*') {
+                    const displayValue = formatTraceValue(arg.value, { values: arg.values, type: arg.type, labels });
+                    fullPath = fullPath.replace(placeholder, displayValue);
+
+                    // The last argument is usually the value
+                    if (index === node.message.arguments.length - 1) {
+                        stateValue = displayValue;
+                    }
+                } else {
+                    fullPath = fullPath.replace(placeholder, arg.value || 'undefined');
+                }
+            }
+        });
+
+        // Parse path and value
+        const parsed = parseStatePath(fullPath, stateValue);
+        if (parsed.path && parsed.value !== null) {
+            state[parsed.path] = parsed.value;
+            if (groups) groups[parsed.path] = parents.join(' > ');
+        }
+    }
+
+    // Recursively process child nodes (nodes without arguments are groups such as contracts)
+    if (node.childrenList) {
+        const childParents = node.message?.arguments?.length ? parents : parents.concat(node.message?.text || []);
+        node.childrenList.forEach(child => {
+            extractStateRecursively(child, state, groups, childParents, labels);
+        });
+    }
+}
+
+// Parse state path
+function parseStatePath(fullText, extractedValue) {
+    const colonIndex = fullText.indexOf(': ');
+    if (colonIndex === -1) {
+        return { path: fullText.trim(), value: extractedValue || 'undefined' };
+    }
+
+    const path = fullText.substring(0, colonIndex).trim();
+    let value = fullText.substring(colonIndex + 2).trim();
+
+    // Prefer value extracted from arguments when present
+    if (extractedValue && extractedValue !== 'undefined') {
+        value = extractedValue;
+    }
+
+    // Trim quotes
+    value = value.replace(/^['"]|['"]$/g, '');
+
+    return { path, value };
+}
+
+// ---------- Source snippets ----------
+
+const SNIPPET_LANGUAGES = { '.sol': 'solidity', '.vy': 'python', '.spec': 'cvl', '.cvl': 'cvl', '.conf': 'json' };
+
+export const sourceLocationKey = (location) => `${location.file}:${location.line}`;
+
+// jumpToDefinition comes as { file, start: { line } } or a list of those
+function definitionLocations(jump) {
+    return (Array.isArray(jump) ? jump : [jump])
+        .filter(j => j && j.file && j.start && Number.isInteger(Number(j.start.line)))
+        .map(j => ({ file: String(j.file), line: Number(j.start.line) }));
+}
+
+// Source locations of a counterexample (call trace nodes, then call resolution warnings), unique, in order
+export function collectSourceLocations(traceData) {
+    const locations = [];
+    const add = (jump) => definitionLocations(jump).forEach(loc => locations.push(loc));
+    const visit = (node) => {
+        if (!node) return;
+        add(node.jumpToDefinition);
+        add(node.message?.jumpToDefinition);
+        (node.childrenList || []).forEach(visit);
+    };
+    visit(traceData?.callTrace);
+    (traceData?.callResolutionWarnings || []).forEach(warning => add(warning.callSite?.jumpToDefinition));
+
+    const seen = new Set();
+    return locations.filter(loc => {
+        const key = sourceLocationKey(loc);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Markdown for the snippets available for `locations`; snippets: key -> { file, line, startLine, lines }
+export function renderSourceSnippets(locations, snippets) {
+    const found = locations.map(loc => snippets[sourceLocationKey(loc)]).filter(Boolean);
+    if (found.length === 0) return '';
+    let md = `## 📜 Source Snippets\n\n`;
+    found.forEach(snippet => {
+        const ext = (snippet.file.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+        const width = String(snippet.startLine + snippet.lines.length - 1).length;
+        md += `### ${snippet.file}:${snippet.line}\n\n\`\`\`${SNIPPET_LANGUAGES[ext] || ''}\n`;
+        snippet.lines.forEach((text, i) => {
+            const lineNo = snippet.startLine + i;
+            md += `${String(lineNo).padStart(width)}${lineNo === snippet.line ? ' >' : ' |'} ${text}\n`;
+        });
+        md += `\`\`\`\n\n`;
+    });
+    return md;
+}
+
+// Comma-separated contract/slot prefixes; an entry matches if its group, key or "group.key" starts with one
+function matchesStorageFilter(key, group, filter) {
+    const prefixes = String(filter || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+    if (prefixes.length === 0) return true;
+    const candidates = [key, group, group ? `${group}.${key}` : ''].map(c => c.toLowerCase());
+    return prefixes.some(p => candidates.some(c => c && c.startsWith(p)));
+}
+
+// Storage timeline: one row per storage entry, one column per Global State snapshot.
+// Rows: { key, group, values, changed (per snapshot), changes, reverted }. Only entries that change are
+// included unless includeUnchanged; reverted marks entries whose final value equals the initial one,
+// i.e. writes that the first-vs-last diff does not show.
+export function buildStorageTimeline(callTrace, { filter = '', includeUnchanged = false } = {}) {
+    const gsNodes = [];
+    collectGlobalStateNodes(callTrace, gsNodes);
+    const groups = {};
+    const snapshots = gsNodes.map(node => extractStateFromGlobalNode(node, groups, collectAddressLabels(callTrace)));
+    const labels = snapshots.map((_, i) => `Global State #${i + 1}`);
+
+    const keys = [];
+    const seen = new Set();
+    snapshots.forEach(snapshot => Object.keys(snapshot).forEach(k => {
+        if (!seen.has(k)) { seen.add(k); keys.push(k); }
+    }));
+
+    const rows = [];
+    keys.forEach(key => {
+        const group = groups[key] || '';
+        if (!matchesStorageFilter(key, group, filter)) return;
+        const values = snapshots.map(snapshot => snapshot[key]);
+        const changed = values.map((v, i) => i > 0 && v !== values[i - 1]);
+        const changes = changed.filter(Boolean).length;
+        if (changes === 0 && !includeUnchanged) return;
+        rows.push({ key, group, values, changed, changes, reverted: changes > 0 && values[0] === values[values.length - 1] });
+    });
+    return { labels, rows };
+}
+
+// Markdown table of a storage timeline; snapshots where no listed entry changes are left out (except #1)
+export function renderStorageTimelineMarkdown(timeline) {
+    const { labels, rows } = timeline;
+    const columns = labels.map((_, i) => i).filter(i => i === 0 || rows.some(row => row.changed[i]));
+    const cell = (v) => v === undefined ? '-' : `\`${String(v).replace(/\|/g, '\\|')}\``;
+
+    let md = `| Slot | ${columns.map(i => `#${i + 1}`).join(' | ')} |\n`;
+    md += `|---|${columns.map(() => '---').join('|')}|\n`;
+    rows.forEach(row => {
+        const slot = `${row.group ? `${row.group}: ` : ''}${row.key}${row.reverted ? ' ↩️' : ''}`.replace(/\|/g, '\\|');
+        const cells = columns.map(i => row.changed[i] ? `**${cell(row.values[i])}**` : cell(row.values[i]));
+        md += `| ${slot} | ${cells.join(' | ')} |\n`;
+    });
+    md += `\nColumns are Global State snapshots; bold cells changed at that snapshot.`;
+    const omitted = labels.length - columns.length;
+    if (omitted > 0) md += ` ${plural(omitted, 'snapshot')} without changes ${omitted === 1 ? 'is' : 'are'} omitted.`;
+    if (rows.some(row => row.reverted)) md += ` ↩️ marks entries that end at their initial value (intermediate writes).`;
+    return md + `\n\n`;
+}
+
+// Render Global State diff (changed entries only)
+export function renderGlobalStateDiff(diff) {
+    let md = '';
+
+    // Group by path type
+    const groups = {
+        'storage': { title: 'Storage Changes', items: [] },
+        'balance': { title: 'Balance Changes', items: [] },
+        'ghost': { title: 'Ghost Variable Changes', items: [] },
+        'other': { title: 'Other Changes', items: [] }
+    };
+
+    Object.entries(diff).forEach(([path, change]) => {
+        const item = { path, change };
+
+        if (path.includes('storage') || path.includes('balanceOf') || path.includes('_storage')) {
+            groups.storage.items.push(item);
+        } else if (path.includes('balance') || path.includes('Balance')) {
+            groups.balance.items.push(item);
+        } else if (path.includes('ghost') || path.includes('Ghost')) {
+            groups.ghost.items.push(item);
+        } else {
+            groups.other.items.push(item);
+        }
+    });
+
+    // Render each group
+    Object.values(groups).forEach(group => {
+        if (group.items.length > 0) {
+            md += `### ${group.title}\n\n`;
+            group.items.forEach(item => {
+                const { path, change } = item;
+                md += `- **${path}**: \`${change.from}\` → \`${change.to}\` ✨\n`;
+            });
+            md += `\n`;
+        }
+    });
+
+    return md;
+}
+
+// Render Global State final diff with change locations (key -> location label)
+export function renderGlobalStateDiffWithLocation(diff, locations) {
+    let md = '';
+    // Group by path type
+    const groups = {
+        'storage': { title: 'Storage Changes', items: [] },
+        'balance': { title: 'Balance Changes', items: [] },
+        'ghost': { title: 'Ghost Variable Changes', items: [] },
+        'other': { title: 'Other Changes', items: [] }
+    };
+
+    Object.entries(diff).forEach(([path, change]) => {
+        const item = { path, change };
+        if (path.includes('storage') || path.includes('balanceOf') || path.includes('_storage')) {
+            groups.storage.items.push(item);
+        } else if (path.includes('balance') || path.includes('Balance')) {
+            groups.balance.items.push(item);
+        } else if (path.includes('ghost') || path.includes('Ghost')) {
+            groups.ghost.items.push(item);
+        } else {
+            groups.other.items.push(item);
+        }
+    });
+
+    Object.values(groups).forEach(group => {
+        if (group.items.length > 0) {
+            md += `### ${group.title}\n\n`;
+            group.items.forEach(item => {
+                const { path, change } = item;
+                const loc = (locations && locations[path]) ? ` (at ${locations[path]})` : '';
+                md += `- **${path}**: \`${change.from}\` → \`${change.to}\` ✨${loc}\n`;
+            });
+            md += `\n`;
+        }
+    });
+
+    return md;
+}
+
+// Render hierarchy from variables array - reference implementation
+export function renderVariablesFromArray(variables, labels = null) {
+    let md = '';
+
+    variables.forEach((variable, index) => {
+        // Only process objects with variableName field
+        if (variable && typeof variable === 'object' && variable.hasOwnProperty('variableName')) {
+            // Handle variables with childrenList
+            if (variable.hasOwnProperty('childrenList') && Array.isArray(variable.childrenList) && variable.childrenList.length > 0) {
+                md += renderNestedVariable(variable, [], labels);
+            } else {
+                // Simple variable: output name and value
+                const name = variable.variableName;
+                const value = variable.hasOwnProperty('value') ? formatTraceValue(variable.value, { type: variable.type, labels }) : 'undefined';
+                md += `**${name}**: \`${value}\`\n\n`;
+            }
+        }
+    });
+
+    return md;
+}
+
+// Handle nested variables - reference implementation
+function renderNestedVariable(variable, parentPath = [], labels = null) {
+    let md = '';
+    const currentPath = parentPath.length > 0 ? [...parentPath, variable.variableName] : [variable.variableName];
+
+    // If there are child variables, recurse
+    if (variable.hasOwnProperty('childrenList') && Array.isArray(variable.childrenList) && variable.childrenList.length > 0) {
+        variable.childrenList.forEach(child => {
+            // Ensure child is a valid object with variableName
+            if (child && typeof child === 'object' && child.hasOwnProperty('variableName')) {
+                md += renderNestedVariable(child, currentPath, labels);
+            }
+        });
+    } else {
+        // Leaf node: output full path and value
+        const fullPath = currentPath.join('.');
+        const value = variable.hasOwnProperty('value') ? formatTraceValue(variable.value, { type: variable.type, labels }) : 'undefined';
+        md += `**${fullPath}**: \`${value}\`\n\n`;
+    }
+
+    return md;
+}
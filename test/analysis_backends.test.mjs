@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAnalysis, startBackend, stubAnswer, defaultBackendConfig } from '../scripts/analysis_backends.mjs';
+import { parseAnalysisResult } from '../scripts/shared/certora_analysis.mjs';
+
+const VALID_JSON = '{"classification":"vacuity","confidence":0.7,"rootCause":"require is unsatisfiable","affectedFiles":[],"fixes":[]}';
+
+// Command backend: the prompt arrives on stdin, so the command can tell the retry prompt apart
+const commandBackend = (command) => ({ ...defaultBackendConfig({}), type: 'command', command });
+const answersOnRetry = commandBackend(`if grep -q "previous answer could not be used"; then echo '${VALID_JSON}'; else echo 'I think it is vacuous.'; fi`);
+
+test('stub answers are valid analyses and deterministic', () => {
+    const prompt = '# Rule r\nStatus: VIOLATED';
+    assert.equal(stubAnswer(prompt), stubAnswer(prompt));
+    assert.ok(parseAnalysisResult(stubAnswer(prompt)).result);
+    assert.match(stubAnswer(prompt, 'fix'), /^Stub backend: no files changed for Rule r/);
+});
+
+test('startAnalysis does not retry a valid answer', async () => {
+    let retries = 0;
+    const outcome = await startAnalysis({ type: 'stub' }, { prompt: '# Rule r', onRetry: () => retries++ }).done;
+    assert.equal(outcome.code, 0);
+    assert.equal(outcome.retried, false);
+    assert.equal(retries, 0);
+    assert.ok(outcome.result);
+    assert.match(outcome.text, /^Classification: /);
+});
+
+test('startAnalysis repeats a malformed answer once with the errors', async () => {
+    const seen = [];
+    const outcome = await startAnalysis(answersOnRetry, { prompt: 'Analyze rule r', onRetry: (errors) => seen.push(errors) }).done;
+    assert.deepEqual(seen, [['no JSON object found in the answer']]);
+    assert.equal(outcome.retried, true);
+    assert.equal(outcome.result.classification, 'vacuity');
+    assert.match(outcome.text, /^Classification: Vacuity \(confidence 70%\)/);
+});
+
+test('startAnalysis hands out the streams of the repeated prompt too', async () => {
+    const batches = [];
+    const task = startAnalysis(answersOnRetry, { prompt: 'Analyze rule r', onStreams: (streams) => batches.push(streams) });
+    assert.equal(batches.length, 1);
+    await task.done;
+    assert.equal(batches.length, 2);
+    assert.ok(batches[1].length > 0);
+    assert.ok(batches[1].every(s => !batches[0].includes(s)));
+    assert.deepEqual(task.streams, batches.flat());
+});
+
+test('startAnalysis keeps the raw answer when the retry is malformed too', async () => {
+    let retries = 0;
+    const outcome = await startAnalysis(commandBackend('echo "still prose"'), { prompt: 'Analyze', onRetry: () => retries++ }).done;
+    assert.equal(retries, 1);
+    assert.equal(outcome.retried, true);
+    assert.equal(outcome.result, null);
+    assert.deepEqual(outcome.errors, ['no JSON object found in the answer']);
+    assert.equal(outcome.text, 'still prose');
+});
+
+test('startAnalysis does not retry a failed backend', async () => {
+    let retries = 0;
+    const outcome = await startAnalysis(commandBackend('echo broken >&2; exit 3'), { prompt: 'Analyze', onRetry: () => retries++ }).done;
+    assert.equal(outcome.code, 3);
+    assert.equal(outcome.retried, false);
+    assert.equal(retries, 0);
+    assert.equal(outcome.result, null);
+});
+
+test('startBackend rejects unknown modes', () => {
+    assert.throws(() => startBackend({ type: 'stub' }, { prompt: 'x', mode: 'review' }), /Unsupported backend mode/);
+});
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ANALYSIS_CACHE_DIR is read when the module loads
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certora-cache-test-'));
+process.env.CERTORA_ANALYSIS_CACHE_DIR = cacheDir;
+const {
+    analysisCacheKey, readCachedAnalysis, writeCachedAnalysis, analysisCacheStats, clearAnalysisCache
+} = await import('../scripts/analysis_cache.mjs');
+
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const base = {
+    markdown: '# Rule r\nStatus: VIOLATED',
+    template: 'Analyze {{content}}',
+    backend: { type: 'codex', model: 'gpt-5', command: '', url: 'https://api.openai.com/v1', apiKey: 'secret' }
+};
+const key = (changes = {}) => analysisCacheKey({ ...base, ...changes, backend: { ...base.backend, ...changes.backend } });
+
+const result = {
+    classification: 'spec_issue',
+    confidence: 0.6,
+    rootCause: 'the invariant ignores the zero address',
+    affectedFiles: [],
+    fixes: []
+};
+
+before(() => clearAnalysisCache());
+
+test('analysisCacheKey is a stable sha256', () => {
+    assert.match(key(), /^[a-f0-9]{64}$/);
+    assert.equal(key(), key());
+});
+
+test('analysisCacheKey changes with markdown, template, backend type and model', () => {
+    const keys = new Set([
+        key(),
+        key({ markdown: '# Rule r\nStatus: SANITY_FAILED' }),
+        key({ template: 'Analyze carefully {{content}}' }),
+        key({ backend: { type: 'stub' } }),
+        key({ backend: { model: 'gpt-5-mini' } })
+    ]);
+    assert.equal(keys.size, 5);
+});
+
+test('analysisCacheKey only uses the fields that select the model', () => {
+    // API key, and command / URL of other backend types, do not change the answer
+    assert.equal(key({ backend: { apiKey: 'other' } }), key());
+    assert.equal(key({ backend: { command: 'cat' } }), key());
+    assert.equal(key({ backend: { url: 'http://localhost:8080/v1' } }), key());
+    const command = { type: 'command', command: 'llm -m a' };
+    assert.notEqual(key({ backend: command }), key({ backend: { ...command, command: 'llm -m b' } }));
+    const openai = { type: 'openai', url: 'https://api.openai.com/v1' };
+    assert.notEqual(key({ backend: openai }), key({ backend: { ...openai, url: 'http://localhost:8080/v1' } }));
+});
+
+test('cached analyses round-trip and are counted', () => {
+    const k = key();
+    assert.equal(readCachedAnalysis(k), null);
+    writeCachedAnalysis(k, { text: 'Classification: Spec issue', result, backend: 'codex (gpt-5)' });
+    const entry = readCachedAnalysis(k);
+    assert.equal(entry.key, k);
+    assert.equal(entry.text, 'Classification: Spec issue');
+    assert.equal(entry.backend, 'codex (gpt-5)');
+    assert.deepEqual(entry.result, result);
+    assert.ok(!Number.isNaN(Date.parse(entry.createdAt)));
+
+    const stats = analysisCacheStats();
+    assert.equal(stats.dir, cacheDir);
+    assert.equal(stats.entries, 1);
+    assert.ok(stats.bytes > 0);
+    assert.equal(clearAnalysisCache(), 1);
+    assert.equal(readCachedAnalysis(k), null);
+});
+
+test('invalid entries are misses and invalid keys are rejected', () => {
+    const k = key({ markdown: 'corrupt' });
+    fs.writeFileSync(path.join(cacheDir, `${k}.json`), JSON.stringify({ text: 'x', result: { classification: 'maybe' } }));
+    assert.equal(readCachedAnalysis(k), null);
+    fs.writeFileSync(path.join(cacheDir, `${k}.json`), '{not json');
+    assert.equal(readCachedAnalysis(k), null);
+    assert.equal(readCachedAnalysis('../settings'), null);
+    assert.throws(() => writeCachedAnalysis('../settings', { text: '', result }), /Invalid analysis cache key/);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateAnalysisResult, parseAnalysisResult, compareAnalyses, analysisClassification, formatAnalysisResult
+} from '../scripts/shared/certora_analysis.mjs';
+
+const valid = {
+    classification: 'real_bug',
+    confidence: 0.9,
+    rootCause: 'transfer does not update the sender balance',
+    affectedFiles: ['src/Token.sol'],
+    fixes: [{ file: 'src/Token.sol', description: 'subtract the amount from the sender' }]
+};
+
+test('validateAnalysisResult accepts the documented shape', () => {
+    const { result, errors } = validateAnalysisResult(valid);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, valid);
+});
+
+test('validateAnalysisResult normalizes classification aliases', () => {
+    const cases = {
+        bug: 'real_bug',
+        'True Positive': 'real_bug',
+        FP: 'false_positive',
+        'false-positive': 'false_positive',
+        spec: 'spec_issue',
+        'Spec Bug': 'spec_issue',
+        vacuous: 'vacuity'
+    };
+    for (const [input, expected] of Object.entries(cases)) {
+        assert.equal(validateAnalysisResult({ ...valid, classification: input }).result?.classification, expected, input);
+    }
+    const { result, errors } = validateAnalysisResult({ ...valid, classification: 'maybe' });
+    assert.equal(result, null);
+    assert.match(errors[0], /classification must be one of/);
+});
+
+test('validateAnalysisResult reads percentages as confidence', () => {
+    const confidence = (value) => validateAnalysisResult({ ...valid, confidence: value }).result?.confidence;
+    assert.equal(confidence('80%'), 0.8);
+    assert.equal(confidence('0.35'), 0.35);
+    assert.equal(confidence(80), 0.8);
+    assert.equal(confidence(100), 1);
+    // 1 is already a fraction, values just above it are percentages
+    assert.equal(confidence(1), 1);
+    assert.equal(confidence(1.5), 0.02);
+    assert.equal(confidence(0.123), 0.12);
+    for (const invalid of [150, -0.1, 'high', null, NaN]) {
+        assert.equal(confidence(invalid), undefined, String(invalid));
+    }
+});
+
+test('validateAnalysisResult accepts snake_case fields and plain-string fixes', () => {
+    const { result } = validateAnalysisResult({
+        classification: 'spec_issue',
+        confidence: 0.5,
+        root_cause: '  the invariant is too strong  ',
+        affected_files: 'certora/specs/Token.spec',
+        proposed_fixes: ['weaken the invariant']
+    });
+    assert.deepEqual(result, {
+        classification: 'spec_issue',
+        confidence: 0.5,
+        rootCause: 'the invariant is too strong',
+        affectedFiles: ['certora/specs/Token.spec'],
+        fixes: [{ description: 'weaken the invariant' }]
+    });
+});
+
+test('validateAnalysisResult lists every invalid field', () => {
+    const { result, errors } = validateAnalysisResult({ classification: 'real_bug', confidence: 2000, affectedFiles: [1], fixes: [{}] });
+    assert.equal(result, null);
+    assert.equal(errors.length, 4);
+    assert.deepEqual(validateAnalysisResult([valid]).errors, ['the answer is not a JSON object']);
+});
+
+test('parseAnalysisResult reads fenced and bare JSON', () => {
+    const fenced = `Here is my analysis:\n\`\`\`json\n${JSON.stringify(valid, null, 2)}\n\`\`\`\n`;
+    assert.deepEqual(parseAnalysisResult(fenced).result, valid);
+    const bare = `Analysis done. ${JSON.stringify(valid)} That is all.`;
+    assert.deepEqual(parseAnalysisResult(bare).result, valid);
+    // Braces inside strings do not end the object
+    const braces = { ...valid, rootCause: 'the mapping {a => b} is not updated' };
+    assert.equal(parseAnalysisResult(`x ${JSON.stringify(braces)}`).result?.rootCause, braces.rootCause);
+});
+
+test('parseAnalysisResult takes the last valid candidate', () => {
+    const draft = { ...valid, classification: 'false_positive', confidence: 0.3 };
+    const answer = `Draft: ${JSON.stringify(draft)}\nFinal:\n${JSON.stringify(valid)}\nInvalid trailer: {"note": 1}`;
+    assert.deepEqual(parseAnalysisResult(answer).result, valid);
+});
+
+test('parseAnalysisResult reports why nothing validated', () => {
+    assert.deepEqual(parseAnalysisResult('no json here').errors, ['no JSON object found in the answer']);
+    const { result, errors } = parseAnalysisResult('{"classification": "real_bug"}');
+    assert.equal(result, null);
+    assert.ok(errors.some(e => /confidence/.test(e)));
+    assert.equal(parseAnalysisResult('{not json}').result, null);
+});
+
+test('analysisClassification falls back to the free-text heuristic', () => {
+    assert.equal(analysisClassification(valid, 'this is a false positive'), 'real_bug');
+    assert.equal(analysisClassification(null, 'This is a false positive.'), 'false_positive');
+    assert.equal(analysisClassification(null, 'The transfer is broken.'), null);
+});
+
+test('compareAnalyses sorts real bugs first, then by confidence', () => {
+    const entries = [
+        { name: 'fp', result: { ...valid, classification: 'false_positive', confidence: 0.99 } },
+        { name: 'none', result: null, text: '' },
+        { name: 'bug-low', result: { ...valid, confidence: 0.4 } },
+        { name: 'vacuity', result: { ...valid, classification: 'vacuity' } },
+        { name: 'bug-high', result: { ...valid, confidence: 0.95 } },
+        { name: 'spec', result: { ...valid, classification: 'spec_issue' } },
+        { name: 'fp-text', result: null, text: 'not a real bug' }
+    ];
+    assert.deepEqual(entries.sort(compareAnalyses).map(e => e.name), ['bug-high', 'bug-low', 'spec', 'vacuity', 'fp', 'fp-text', 'none']);
+});
+
+test('formatAnalysisResult lists files and numbered fixes', () => {
+    assert.equal(formatAnalysisResult(valid), [
+        'Classification: Real bug (confidence 90%)',
+        '',
+        'Root cause: transfer does not update the sender balance',
+        '',
+        'Affected files: src/Token.sol',
+        '',
+        'Fixes Suggestions:',
+        '1. [src/Token.sol] subtract the amount from the sender'
+    ].join('\n'));
+});
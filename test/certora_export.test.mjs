@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSarifLog, buildJUnitXml, markdownToHtml, buildHtmlReport } from '../scripts/shared/certora_export.mjs';
+
+const at = (file, line) => ({ file, start: { line } });
+
+// Imported rules of a run: a violation with source locations, a SANITY_FAILED parent and leaf,
+// a TIMEOUT without rule output and a verified rule
+const rules = [
+    {
+        ruleName: 'capRespected',
+        status: 'VIOLATED',
+        outputFile: 'rule_output_1.json',
+        content: {
+            callTrace: {
+                message: { text: 'rule capRespected' },
+                status: 'FAILURE',
+                childrenList: [
+                    { message: { text: 'mint(1)', jumpToDefinition: at('/work/proj/.certora_sources/src/Token.sol', 40) }, status: 'SUCCESS' },
+                    { message: { text: 'assert totalSupply <= cap', jumpToDefinition: at('/work/proj/certora/specs/Token.spec', 12) }, status: 'FAILURE' }
+                ]
+            }
+        }
+    },
+    { ruleName: 'envfree', status: 'SANITY_FAILED', outputFile: 'rule_output_2.json', content: null },
+    {
+        ruleName: 'envfree > balanceOf(address)',
+        status: 'SANITY_FAILED',
+        outputFile: 'rule_output_3.json',
+        content: { callTrace: { message: { text: 'rule envfree' }, status: 'FAILURE', childrenList: [{ message: { text: 'require false' }, status: 'FAILURE' }] } }
+    },
+    { ruleName: 'sumBounded', status: 'TIMEOUT', outputFile: 'no_output_sumBounded', noOutput: true },
+    { ruleName: 'transferPreservesSupply', status: 'VERIFIED', outputFile: 'rule_output_5.json' }
+];
+
+const RUN_URL = 'https://prover.certora.com/output/1234/abcd';
+
+test('SARIF results cover failing leaf rules with levels, locations and analyses', () => {
+    const log = buildSarifLog(rules, {
+        runUrl: RUN_URL,
+        runKey: '1234-abcd',
+        projectPath: '/work/proj',
+        annotations: {
+            'rule_output_1.json': {
+                analysis: 'Classification: False positive',
+                analysisResult: { classification: 'false_positive', confidence: 0.8, rootCause: 'cap is never set', affectedFiles: [], fixes: [] }
+            },
+            'rule_output_3.json': { analysis: 'The require makes the rule vacuous.' }
+        }
+    });
+    assert.equal(log.version, '2.1.0');
+    const [run] = log.runs;
+    assert.deepEqual(run.automationDetails, { id: 'certora/1234-abcd/' });
+    assert.deepEqual(run.tool.driver.rules.map(r => [r.id, r.name]), [
+        ['capRespected', 'capRespected'],
+        ['sumBounded', 'sumBounded'],
+        ['envfree > balanceOf(address)', 'envfree___balanceOf_address_']
+    ]);
+
+    const [violated, timeout, sanity] = run.results;
+    assert.equal(run.results.length, 3);
+    assert.deepEqual([violated.level, timeout.level, sanity.level], ['error', 'note', 'warning']);
+    assert.deepEqual(run.results.map(r => r.ruleIndex), [0, 1, 2]);
+    assert.equal(violated.hostedViewerUri, RUN_URL);
+
+    // Primary location: the failing assert; paths are relative to the project, without .certora_sources/
+    assert.deepEqual(violated.locations, [{
+        physicalLocation: { artifactLocation: { uri: 'certora/specs/Token.spec', uriBaseId: '%SRCROOT%' }, region: { startLine: 12 } }
+    }]);
+    assert.deepEqual(violated.relatedLocations.map(l => [l.id, l.physicalLocation.artifactLocation.uri, l.physicalLocation.region.startLine]),
+        [[1, 'src/Token.sol', 40]]);
+    assert.equal(violated.message.text,
+        'capRespected is VIOLATED; failing assert: assert totalSupply <= cap. Codex: false positive (confidence 80%)');
+    assert.equal(violated.properties.codexClassification, 'false_positive');
+    assert.equal(violated.properties.codexResult.rootCause, 'cap is never set');
+
+    assert.equal(timeout.message.text, 'sumBounded is TIMEOUT; no counterexample available');
+    assert.equal(timeout.locations, undefined);
+    assert.equal(sanity.properties.codexClassification, 'true_positive');
+    assert.equal(sanity.properties.outputFile, 'rule_output_3.json');
+});
+
+test('SARIF leaves out viewer links for local runs', () => {
+    const [run] = buildSarifLog(rules, { runUrl: '/work/proj/emv-1/Reports' }).runs;
+    assert.ok(run.results.every(r => r.hostedViewerUri === undefined));
+    assert.ok(run.tool.driver.rules.every(r => r.helpUri === undefined));
+    assert.equal(run.automationDetails, undefined);
+});
+
+test('JUnit XML maps prover statuses to testcase outcomes', () => {
+    const xml = buildJUnitXml([{
+        name: RUN_URL,
+        url: `${RUN_URL}?anonymousKey=a&b`,
+        timestamp: '2026-10-01T12:00:00.000Z',
+        cases: [
+            { ruleName: 'capRespected', status: 'VIOLATED', markdown: '# Rule capRespected\n- assert totalSupply <= cap' },
+            { ruleName: 'envfree > balanceOf(address)', status: 'SANITY_FAILED', error: 'HTTP 404' },
+            { ruleName: 'sumBounded', status: 'TIMEOUT' },
+            { ruleName: 'transferPreservesSupply', status: 'VERIFIED' },
+            { ruleName: 'stillProving', status: 'RUNNING' }
+        ]
+    }]);
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Certora Prover">\n'));
+    assert.ok(xml.includes(`<testsuite name="${RUN_URL}" id="0" tests="5" failures="2" errors="1" skipped="1" timestamp="2026-10-01T12:00:00.000Z">`));
+    assert.ok(xml.includes(`<property name="url" value="${RUN_URL}?anonymousKey=a&amp;b"/>`));
+    assert.ok(xml.includes('<testcase classname="capRespected" name="capRespected">\n'
+        + '      <failure message="VIOLATED" type="VIOLATED"># Rule capRespected\n- assert totalSupply &lt;= cap</failure>'));
+    // Sub-rules: base rule as classname; without markdown the one-line summary is the failure text
+    assert.ok(xml.includes('<testcase classname="envfree" name="balanceOf(address)">\n'
+        + '      <failure message="SANITY_FAILED (rule output could not be fetched: HTTP 404)" type="SANITY_FAILED">'
+        + 'envfree &gt; ... &gt; balanceOf(address) is SANITY_FAILED; rule output could not be fetched: HTTP 404</failure>'));
+    assert.ok(xml.includes('<error message="TIMEOUT" type="TIMEOUT">sumBounded is TIMEOUT; no counterexample available</error>'));
+    assert.ok(xml.includes('<testcase classname="transferPreservesSupply" name="transferPreservesSupply"/>'));
+    assert.ok(xml.includes('<skipped message="RUNNING"/>'));
+    assert.ok(xml.endsWith('  </testsuite>\n</testsuites>\n'));
+});
+
+test('markdownToHtml renders the report subset and escapes everything else', () => {
+    const md = [
+        '# Rule <capRespected>',
+        '',
+        '- rule **[FAILURE]**',
+        '  - mint(`a<b`)',
+        '  - _[elided: 3 calls]_',
+        '- next',
+        '',
+        '| Slot | #1 |',
+        '|---|---|',
+        '| a\\|b | `1` |',
+        '',
+        '```solidity',
+        'x < y',
+        '```',
+        '> note & more',
+        '',
+        'text line',
+        'second',
+        '---'
+    ].join('\n');
+    assert.equal(markdownToHtml(md), [
+        '<h1>Rule &lt;capRespected&gt;</h1>',
+        '<ul><li>rule <strong>[FAILURE]</strong><ul><li>mint(<code>a&lt;b</code>)</li><li><em>[elided: 3 calls]</em></li></ul></li><li>next</li></ul>',
+        '<table><thead><tr><th>Slot</th><th>#1</th></tr></thead><tbody><tr><td>a|b</td><td><code>1</code></td></tr></tbody></table>',
+        '<pre><code>x &lt; y</code></pre>',
+        '<blockquote>note &amp; more</blockquote>',
+        '<p>text line<br>second</p>',
+        '<hr>',
+        ''
+    ].join('\n'));
+});
+
+test('the HTML report is self-contained and escapes rule data', () => {
+    const html = buildHtmlReport({
+        title: 'Token <audit>',
+        generatedAt: '2026-10-01T12:00:00.000Z',
+        sources: [{ label: 'Token.conf', url: RUN_URL }, { label: 'Vault.conf', url: 'javascript:alert(1)' }],
+        verificationUrls: [`${RUN_URL}/fixed`],
+        rules: [
+            {
+                displayName: 'capRespected',
+                status: 'VIOLATED',
+                source: 'Token.conf',
+                markdown: '# Rule\n- assert totalSupply <= cap',
+                analysis: 'Classification: False positive',
+                analysisResult: { classification: 'false_positive', confidence: 0.8, rootCause: 'x', affectedFiles: [], fixes: [] },
+                skipFix: true
+            },
+            { displayName: '<img src=x onerror=alert(1)>', status: 'TIMEOUT', source: 'Vault.conf', markdown: '', error: 'HTTP 404' }
+        ]
+    });
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(!/<script|<link|src="http/i.test(html));
+    assert.ok(html.includes('<title>Token &lt;audit&gt;</title>'));
+    assert.ok(html.includes(`<li><strong>Token.conf</strong>: <a href="${RUN_URL}">${RUN_URL}</a></li>`));
+    // Only http(s) URLs become links
+    assert.ok(html.includes('<li><strong>Vault.conf</strong>: javascript:alert(1)</li>'));
+    assert.ok(html.includes(`<a href="${RUN_URL}/fixed">`));
+    assert.ok(html.includes('<p>2 rules: 1 VIOLATED, 1 TIMEOUT; 1 tagged as possible false positives by Codex.</p>'));
+    assert.ok(html.includes('<span class="badge fp">False positive</span> <span class="badge skip">Skip fix</span>'));
+    assert.ok(html.includes('<td>False positive (80%)</td>'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('<p><strong>Rule output could not be fetched:</strong> HTTP 404</p>'));
+    assert.ok(html.includes('<li>assert totalSupply &lt;= cap</li>'));
+});
@@ -0,0 +1,262 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    compactTraceToMarkdown, buildRuleReports, convertToMarkdown, buildStorageTimeline, renderStorageTimelineMarkdown,
+    collectSourceLocations, renderSourceSnippets, formatTraceValue, collectAddressLabels
+} from '../scripts/shared/certora_markdown.mjs';
+
+// Trace whose storage changes on every step, so only hard truncation brings it under a small budget;
+// the failing assert sits in the middle, inside checkCap()
+const globalState = (supply) => ({
+    message: { text: 'Global State' },
+    childrenList: [{ message: { text: 'Token' }, childrenList: [{ message: { text: 'totalSupply = {0}', arguments: [{ value: String(supply) }] } }] }]
+});
+
+function mintTrace(steps) {
+    const children = [globalState(0)];
+    for (let i = 1; i <= steps; i++) {
+        children.push({ message: { text: `mint(${i}) updates totalSupply` }, status: 'SUCCESS', childrenList: [{ message: { text: 'SSTORE totalSupply' } }] }, globalState(i));
+    }
+    children.splice(steps + 1, 0, {
+        message: { text: 'checkCap()' },
+        childrenList: [{ message: { text: 'assert totalSupply <= cap' }, status: 'FAILURE' }]
+    });
+    return { message: { text: 'rule capRespected' }, status: 'FAILURE', childrenList: children };
+}
+
+const withoutNote = (md) => md.replace(/^> Trace compacted[^\n]*\n\n/, '');
+
+test('small traces are not compacted', () => {
+    const md = compactTraceToMarkdown(mintTrace(1), 100000);
+    assert.ok(!md.includes('Trace compacted'));
+    assert.ok(md.includes('assert totalSupply <= cap'));
+});
+
+test('hard truncation keeps the failing assert and its call path', () => {
+    for (const budget of [1500, 700, 250]) {
+        const md = withoutNote(compactTraceToMarkdown(mintTrace(30), budget));
+        assert.ok(md.includes('- assert totalSupply <= cap **[FAILURE]**'), `assert kept at ${budget}`);
+        assert.ok(md.startsWith('- rule capRespected **[FAILURE]**\n'), `root kept at ${budget}`);
+        assert.ok(md.includes('  - checkCap()\n'), `caller kept at ${budget}`);
+        assert.ok(md.indexOf('checkCap()') < md.indexOf('assert totalSupply'));
+        assert.match(md, /_\[elided: \d+ characters \(trace truncated\)\]_/);
+        assert.ok(md.length <= budget, `${md.length} <= ${budget}`);
+    }
+});
+
+test('truncation keeps context on both sides of the failing assert', () => {
+    const md = withoutNote(compactTraceToMarkdown(mintTrace(30), 1500));
+    const at = md.indexOf('assert totalSupply');
+    assert.match(md.slice(0, at), /Global State #\d+/);
+    assert.match(md.slice(at), /Global State #\d+/);
+});
+
+const failingTrace = (rule, assertion) => ({
+    message: { text: `rule ${rule}` },
+    status: 'FAILURE',
+    childrenList: [{ message: { text: assertion }, status: 'FAILURE' }]
+});
+
+test('rule reports merge SANITY_FAILED leaves per base rule', () => {
+    const rules = [
+        { ruleName: 'capRespected', status: 'VIOLATED', outputFile: 'rule_output_1.json', content: { callTrace: failingTrace('capRespected', 'assert totalSupply <= cap') } },
+        { ruleName: 'envfree', status: 'SANITY_FAILED', outputFile: 'rule_output_2.json', content: { callTrace: failingTrace('envfree', 'require false') } },
+        { ruleName: 'envfree > balanceOf(address)', status: 'SANITY_FAILED', outputFile: 'rule_output_3.json', content: { callTrace: failingTrace('envfree', 'require a') } },
+        { ruleName: 'envfree > totalSupply()', status: 'SANITY_FAILED', outputFile: 'rule_output_4.json', content: { callTrace: failingTrace('envfree', 'require b') } }
+    ];
+    const reports = buildRuleReports(rules);
+    assert.deepEqual(reports.map(r => r.displayName), ['capRespected', 'envfree (2 sub-rules)']);
+    assert.match(reports[0].markdown, /^# Certora Trace Analysis\n\n\*\*Rule:\*\* capRespected\n\*\*Status:\*\* VIOLATED\n/);
+    assert.ok(reports[0].markdown.includes('- assert totalSupply <= cap **[FAILURE]**'));
+
+    // The parent node is left out; its leaves share one report
+    const merged = reports[1];
+    assert.equal(merged.groupId, 'sanity_group_envfree');
+    assert.deepEqual(merged.items.map(r => r.outputFile), ['rule_output_3.json', 'rule_output_4.json']);
+    assert.ok(merged.markdown.startsWith('# Certora Trace Analysis (SANITY_FAILED)\n\n**Rule:** envfree\n**Status:** SANITY_FAILED (2 sub-rules)'));
+    assert.ok(merged.markdown.indexOf('### balanceOf(address)') < merged.markdown.indexOf('### totalSupply()'));
+});
+
+test('rules without a rule output get a prover details report', () => {
+    const md = convertToMarkdown({ ruleName: 'a > b > c', status: 'TIMEOUT', noOutput: true, nodeInfo: { duration: 600 } });
+    assert.ok(md.startsWith('# Certora Timeout Report\n\n**Rule:** a > ... > c\n**Status:** TIMEOUT\n\n> The prover did not finish'));
+    assert.ok(md.includes('- **duration**: `600`\n- No rule output file was produced for this rule\n'));
+});
+
+test('compaction folds repeated calls and unchanged snapshots before truncating', () => {
+    const state = (supply) => ({
+        message: { text: 'Global State' },
+        childrenList: [{
+            message: { text: 'Token' },
+            childrenList: [
+                { message: { text: 'totalSupply: {0}', arguments: [{ value: String(supply) }] } },
+                { message: { text: 'owner: {0}', arguments: [{ value: '0x1' }] } }
+            ]
+        }]
+    });
+    const balanceOf = () => ({ message: { text: 'balanceOf(0x2)' }, status: 'SUCCESS', childrenList: [{ message: { text: 'SLOAD balances' } }, { message: { text: 'return 5' } }] });
+    const trace = {
+        message: { text: 'rule supplyFixed' },
+        status: 'FAILURE',
+        childrenList: [
+            state(0), ...Array.from({ length: 20 }, balanceOf), state(0),
+            { message: { text: 'mint(1)' }, childrenList: [{ message: { text: 'SSTORE totalSupply' } }] }, state(1),
+            { message: { text: 'assert totalSupply == 0' }, status: 'FAILURE' }
+        ]
+    };
+    assert.equal(withoutNote(compactTraceToMarkdown(trace, 900)), [
+        '- rule supplyFixed **[FAILURE]**',
+        '  - Global State #1',
+        '    - **totalSupply**: `0`',
+        '    - _[elided: 1 entry that never changes]_',
+        '  - balanceOf(0x2) **[SUCCESS]**',
+        '    - SLOAD balances',
+        '    - return 5',
+        '  - _[elided: 19 identical repetitions]_',
+        '  - Global State #2 (unchanged)',
+        '  - mint(1)',
+        '    - SSTORE totalSupply',
+        '  - Global State #3',
+        '    - **totalSupply**: `0` → `1` ✨',
+        '  - assert totalSupply == 0 **[FAILURE]**',
+        ''
+    ].join('\n'));
+    assert.match(compactTraceToMarkdown(trace, 900), /^> Trace compacted from \d+ to at most 900 characters/);
+});
+
+// Global State snapshot with one group per contract: { Token: { totalSupply: 0 }, ... }
+const snapshot = (contracts) => ({
+    message: { text: 'Global State' },
+    childrenList: Object.entries(contracts).map(([contract, entries]) => ({
+        message: { text: contract },
+        childrenList: Object.entries(entries).map(([key, value]) => ({ message: { text: `${key}: {0}`, arguments: [{ value: String(value) }] } }))
+    }))
+});
+
+const lockTrace = {
+    message: { text: 'rule depositLocks' },
+    childrenList: [
+        snapshot({ Token: { totalSupply: 0, locked: 0, owner: '0x1' }, Vault: { shares: 0 } }),
+        { message: { text: 'deposit()' } },
+        snapshot({ Token: { totalSupply: 0, locked: 1, owner: '0x1' }, Vault: { shares: 0 } }),
+        snapshot({ Token: { totalSupply: 0, locked: 1, owner: '0x1' }, Vault: { shares: 0 } }),
+        snapshot({ Token: { totalSupply: 5, locked: 0, owner: '0x1' }, Vault: { shares: 5 } })
+    ]
+};
+
+test('the storage timeline shows intermediate writes', () => {
+    const timeline = buildStorageTimeline(lockTrace);
+    assert.equal(timeline.labels.length, 4);
+    assert.deepEqual(timeline.rows.map(r => [`${r.group}.${r.key}`, r.values.join(','), r.changes, r.reverted]), [
+        ['Token.totalSupply', '0,0,0,5', 1, false],
+        ['Token.locked', '0,1,1,0', 2, true],
+        ['Vault.shares', '0,0,0,5', 1, false]
+    ]);
+    assert.equal(renderStorageTimelineMarkdown(timeline), [
+        '| Slot | #1 | #2 | #4 |',
+        '|---|---|---|---|',
+        '| Token: totalSupply | `0` | `0` | **`5`** |',
+        '| Token: locked ↩️ | `0` | **`1`** | **`0`** |',
+        '| Vault: shares | `0` | `0` | **`5`** |',
+        '',
+        'Columns are Global State snapshots; bold cells changed at that snapshot. 1 snapshot without changes is omitted.'
+            + ' ↩️ marks entries that end at their initial value (intermediate writes).',
+        '',
+        ''
+    ].join('\n'));
+});
+
+test('the storage timeline filter matches contract and slot prefixes', () => {
+    const keys = (options) => buildStorageTimeline(lockTrace, options).rows.map(r => `${r.group}.${r.key}`);
+    assert.deepEqual(keys({ filter: 'vault' }), ['Vault.shares']);
+    assert.deepEqual(keys({ filter: 'Token.lock, shares' }), ['Token.locked', 'Vault.shares']);
+    assert.deepEqual(keys({ filter: 'Token.own' }), []);
+    assert.deepEqual(keys({ filter: 'Token.own', includeUnchanged: true }), ['Token.owner']);
+});
+
+test('source locations come from trace nodes and call resolution warnings, once each', () => {
+    const at = (file, line) => ({ file, start: { line } });
+    const locations = collectSourceLocations({
+        callTrace: {
+            message: { text: 'rule r', jumpToDefinition: at('certora/specs/Token.spec', 12) },
+            childrenList: [
+                { message: { text: 'transfer()' }, jumpToDefinition: [at('src/Token.sol', 40), at('src/Token.sol', 41)] },
+                { message: { text: 'assert', jumpToDefinition: at('certora/specs/Token.spec', 12) } },
+                { message: { text: 'no location', jumpToDefinition: { file: 'src/Token.sol' } } }
+            ]
+        },
+        callResolutionWarnings: [{ callSite: { jumpToDefinition: at('src/Vault.sol', 7) } }]
+    });
+    assert.deepEqual(locations.map(l => `${l.file}:${l.line}`),
+        ['certora/specs/Token.spec:12', 'src/Token.sol:40', 'src/Token.sol:41', 'src/Vault.sol:7']);
+});
+
+test('source snippets are rendered with the location line marked', () => {
+    const snippets = {
+        'src/Token.sol:10': { file: 'src/Token.sol', line: 10, startLine: 8, lines: ['function burn() {', '    _burn();', '    totalSupply -= 1;', '}'] }
+    };
+    const md = renderSourceSnippets([{ file: 'src/Vault.sol', line: 3 }, { file: 'src/Token.sol', line: 10 }], snippets);
+    assert.equal(md, [
+        '## 📜 Source Snippets',
+        '',
+        '### src/Token.sol:10',
+        '',
+        '```solidity',
+        ' 8 | function burn() {',
+        ' 9 |     _burn();',
+        '10 >     totalSupply -= 1;',
+        '11 | }',
+        '```',
+        '',
+        ''
+    ].join('\n'));
+    assert.equal(renderSourceSnippets([{ file: 'src/Vault.sol', line: 3 }], snippets), '');
+});
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const hexOf = (n) => `0x${n.toString(16)}`;
+
+test('values near max_uint get boundary hints up to 16 away', () => {
+    assert.equal(formatTraceValue(MAX_UINT256.toString()),
+        `${hexOf(MAX_UINT256)} (${MAX_UINT256}, max_uint256, -1 as int256) ⚠️ boundary`);
+    assert.equal(formatTraceValue((MAX_UINT256 - 16n).toString()),
+        `${hexOf(MAX_UINT256 - 16n)} (${MAX_UINT256 - 16n}, max_uint256 - 16, -17 as int256) ⚠️ boundary`);
+    // One further away keeps the anchor but is no boundary any more
+    assert.equal(formatTraceValue((MAX_UINT256 - 17n).toString()),
+        `${hexOf(MAX_UINT256 - 17n)} (${MAX_UINT256 - 17n}, max_uint256 - 17, -18 as int256)`);
+
+    const maxInt128 = (1n << 127n) - 1n;
+    assert.equal(formatTraceValue(hexOf(maxInt128)), `${hexOf(maxInt128)} (${maxInt128}, max_int128) ⚠️ boundary`);
+    assert.equal(formatTraceValue((1n << 96n).toString()), `${hexOf(1n << 96n)} (${1n << 96n}, 2^96) ⚠️ boundary`);
+    const midway = (1n << 200n) + (1n << 100n);
+    assert.equal(formatTraceValue(midway.toString()), `${hexOf(midway)} (${midway})`);
+});
+
+test('small values, typed values and addresses', () => {
+    assert.equal(formatTraceValue('999999'), '999999');
+    assert.equal(formatTraceValue('1000000'), '0xf4240 (1000000)');
+    assert.equal(formatTraceValue('0x1f'), '0x1f (31)');
+    assert.equal(formatTraceValue('1', { type: 'bool' }), 'true');
+    assert.equal(formatTraceValue('0', { type: 'bool' }), 'false');
+    assert.equal(formatTraceValue('1', { type: 'enum Side {Buy, Sell}' }), 'Side.Sell (1)');
+    assert.equal(formatTraceValue('5', { type: 'Side {Buy, Sell}' }), 'Side.<invalid 5> (5)');
+    const address = `0x${'ab'.repeat(20)}`;
+    assert.equal(formatTraceValue(address), address);
+    assert.equal(formatTraceValue('0x2711', { type: 'address' }), '0x2711');
+});
+
+test('addresses named in the trace are labelled with their contract', () => {
+    const labels = collectAddressLabels({
+        message: { text: 'Token (0x2711)' },
+        childrenList: [
+            { message: { text: 'call Vault at 10002' } },
+            { message: { text: 'Other@0x2711' } },
+            { message: { text: '{0}@0x0', arguments: [{ value: 'Zero' }] } }
+        ]
+    });
+    // The first name wins; the zero address is never labelled
+    assert.deepEqual(labels, { 2711: 'Token', 2712: 'Vault' });
+    assert.equal(formatTraceValue('0x2711', { labels }), '0x2711 (Token)');
+    assert.equal(formatTraceValue('10002', { labels }), '10002 (Vault)');
+    assert.equal(formatTraceValue('0', { labels }), '0');
+});
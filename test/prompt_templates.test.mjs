@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// SHARED_PROMPTS_DIR lives in the data directory, which is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certora-prompts-test-'));
+process.env.CERTORA_DATA_DIR = dataDir;
+const {
+    DEFAULT_PROMPTS_DIR, SHARED_PROMPTS_DIR, loadTemplate, saveTemplate, deleteTemplate, renderTemplate, renderPrompt
+} = await import('../scripts/prompt_templates.mjs');
+
+const projectPath = path.join(dataDir, 'project');
+fs.mkdirSync(path.join(projectPath, 'certora'), { recursive: true });
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('templates resolve project, then shared, then shipped', () => {
+    const shippedFile = path.join(DEFAULT_PROMPTS_DIR, 'fix.md');
+    const shipped = fs.readFileSync(shippedFile, 'utf8');
+    assert.equal(loadTemplate('fix', projectPath).source, 'default');
+
+    saveTemplate('fix', 'shared {{analysis}}', { scope: 'default' });
+    const shared = loadTemplate('fix', projectPath);
+    assert.equal(shared.source, 'shared');
+    assert.equal(shared.path, path.join(SHARED_PROMPTS_DIR, 'fix.md'));
+    assert.equal(shared.text, 'shared {{analysis}}');
+    assert.equal(shared.shippedText, shipped);
+    // "Save as default" never touches the shipped file
+    assert.equal(fs.readFileSync(shippedFile, 'utf8'), shipped);
+
+    saveTemplate('fix', 'project {{analysis}}', { projectPath });
+    const project = loadTemplate('fix', projectPath);
+    assert.equal(project.source, 'project');
+    assert.equal(project.defaultText, 'shared {{analysis}}');
+    assert.equal(project.sharedOverride, true);
+
+    assert.equal(deleteTemplate('fix', { projectPath }), true);
+    assert.equal(loadTemplate('fix', projectPath).source, 'shared');
+    assert.equal(deleteTemplate('fix', { scope: 'default' }), true);
+    assert.equal(deleteTemplate('fix', { scope: 'default' }), false);
+    assert.equal(loadTemplate('fix', projectPath).text, shipped);
+});
+
+test('project overrides need a Certora project', () => {
+    assert.throws(() => saveTemplate('fix', 'x', { projectPath: '' }), /project path is required/);
+    assert.throws(() => saveTemplate('fix', 'x', { projectPath: path.join(dataDir, 'missing') }), /Not a Certora project/);
+    assert.throws(() => saveTemplate('nope', 'x', { scope: 'default' }), /Unknown prompt template/);
+});
+
+test('renderTemplate keeps placeholders without a value', () => {
+    assert.equal(renderTemplate('{{ rule_name }} in {{project_root}}', { rule_name: 'r' }), 'r in {{project_root}}');
+});
+
+test('analysis prompts share the constraints partial', () => {
+    const shipped = loadTemplate('constraints').text.trim();
+    for (const status of ['violated', 'sanity_failed', 'timeout', 'unknown', 'error']) {
+        const name = `analyze_${status}`;
+        assert.match(loadTemplate(name).text, /\{\{constraints\}\}/, name);
+        assert.ok(renderPrompt(name, { certora_output: 'X' }).includes(shipped), name);
+    }
+
+    saveTemplate('constraints', 'Constraints:\n- at most one fix for {{rule_name}}', { projectPath });
+    const prompt = renderPrompt('analyze_violated', { certora_output: 'X', rule_name: 'r' }, projectPath);
+    assert.ok(prompt.includes('- at most one fix for r'));
+    assert.ok(!prompt.includes(shipped));
+    assert.ok(renderPrompt('analyze_violated', { certora_output: 'X' }).includes(shipped));
+    deleteTemplate('constraints', { projectPath });
+});
@@ -0,0 +1,474 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ANALYSIS_CLASSIFICATIONS } from '../scripts/shared/certora_analysis.mjs';
+
+// End-to-end: the server with ANALYSIS_BACKEND=stub answers analysis requests without Codex or network;
+// ANALYSIS_COMMAND=cat lets a { type: 'command' } fix request echo the prompt it was given
+
+const SERVER = fileURLToPath(new URL('../scripts/certora_auto_server.mjs', import.meta.url));
+// certoraRun output folder: an invariant with an induction base and two methods, a plain rule, a verified rule
+const LOCAL_RUN = fileURLToPath(new URL('./fixtures/local_run', import.meta.url));
+// Recorded Certora responses of https://prover.certora.com/output/1234/abcd (http_fixtures.mjs layout)
+const HTTP_FIXTURES = fileURLToPath(new URL('./fixtures/http', import.meta.url));
+const RECORDED_URL = 'https://prover.certora.com/output/1234/abcd?anonymousKey=secret';
+let server;
+let baseUrl;
+let dataDir;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certora-test-'));
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, ANALYSIS_BACKEND: 'stub', ANALYSIS_COMMAND: 'cat', CERTORA_DATA_DIR: dataDir, CERTORA_FIXTURES_DIR: HTTP_FIXTURES, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server did not start')), 15000);
+        server.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.on('exit', (code) => reject(new Error(`server exited with ${code}`)));
+    });
+});
+
+after(() => {
+    server?.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// SSE events of a POST to a streaming endpoint
+async function postStream(endpoint, body) {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+    const text = await response.text();
+    return text.split('\n\n')
+        .map(block => block.trim())
+        .filter(block => block.startsWith('data:'))
+        .map(block => JSON.parse(block.replace(/^data:\s*/, '')));
+}
+
+const analyzeStream = (body) => postStream('/analyze-rule-stream', body);
+
+test('stub backend answers /analyze-rule-stream with a structured final event', async () => {
+    const events = await analyzeStream({
+        content: '# Rule transferPreservesSupply\n\nStatus: VIOLATED\n',
+        type: 'VIOLATED',
+        ruleName: 'transferPreservesSupply'
+    });
+    const final = events.find(e => e.type === 'final');
+    assert.ok(final, 'final event');
+    assert.ok(ANALYSIS_CLASSIFICATIONS.includes(final.analysis.classification));
+    assert.match(final.analysis.rootCause, /^Stub analysis of /);
+    assert.match(final.message, /^Classification: /);
+    assert.equal(events.at(-1).type, 'complete');
+});
+
+test('repeated analyses come from the analysis cache unless forced', async () => {
+    const body = { content: '# Rule cachedRule\n\nStatus: SANITY_FAILED\n', type: 'SANITY_FAILED' };
+    const first = (await analyzeStream(body)).find(e => e.type === 'final');
+    assert.equal(first.cached, undefined);
+
+    const second = (await analyzeStream(body)).find(e => e.type === 'final');
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.analysis, first.analysis);
+    assert.equal(second.message, first.message);
+
+    const forced = (await analyzeStream({ ...body, force: true })).find(e => e.type === 'final');
+    assert.equal(forced.cached, undefined);
+});
+
+test('per-request backend overrides are limited to type and model', async () => {
+    const response = await fetch(`${baseUrl}/analyze-rule-stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            content: '# Rule r\n',
+            type: 'VIOLATED',
+            backend: { type: 'command', command: 'id' }
+        })
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /command cannot be set per request/);
+});
+
+test('fix prompts render the per-item template fields', async () => {
+    const events = await postStream('/fix-sequential-stream', {
+        basePrompt: 'rule=[{{rule_name}}] status=[{{status}}] class=[{{classification}}]\n{{analysis}}',
+        analyses: [{ ruleName: 'capRespected', text: 'Root cause: cap ignored', classification: 'spec_issue', ruleType: 'VIOLATED' }],
+        backend: { type: 'command' }
+    });
+    const output = events.filter(e => e.type === 'output').map(e => e.message).join('');
+    assert.match(output, /rule=\[capRespected\] status=\[VIOLATED\] class=\[spec_issue\]\nRoot cause: cap ignored/);
+    assert.equal(events.at(-1).type, 'complete');
+});
+
+async function importLocalRun(body = {}) {
+    const response = await fetch(`${baseUrl}/analyze-and-fetch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ localPath: LOCAL_RUN, ...body })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+test('the rule x method matrix keeps the constructor column', async () => {
+    const { runKey } = await importLocalRun();
+    const matrix = await (await fetch(`${baseUrl}/runs/${encodeURIComponent(runKey)}/matrix`)).json();
+    assert.equal(matrix.success, true);
+    assert.deepEqual(matrix.methods, ['constructor', 'approve(address,uint256)', 'transfer(address,uint256)']);
+    assert.equal(matrix.rules.length, 1);
+    const { cells } = matrix.rules[0];
+    assert.deepEqual(cells.constructor, {
+        ruleName: 'totalSupplyIsSumOfBalances > Induction base: After the constructor',
+        status: 'VERIFIED',
+        outputFiles: []
+    });
+    assert.equal(cells['transfer(address,uint256)'].status, 'VIOLATED');
+    assert.deepEqual(cells['transfer(address,uint256)'].outputFiles, ['rule_output_1.json']);
+});
+
+test('replay imports the recorded rule outputs without retrying', async () => {
+    const response = await fetch(`${baseUrl}/analyze-and-fetch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // Without replay handling the 503 below would be retried with these delays
+        body: JSON.stringify({ url: RECORDED_URL, httpMode: 'replay', baseDelayMs: 60000, maxDelayMs: 60000, persist: false })
+    });
+    assert.equal(response.status, 200);
+    const { rules, failedFetches } = await response.json();
+    assert.deepEqual(rules.map(r => [r.ruleName, r.status, r.outputFile]), [
+        ['capRespected', 'VIOLATED', 'rule_output_1.json'],
+        ['envfreeFuncsStaticCheck > balanceOf(address)', 'SANITY_FAILED', 'rule_output_2.json'],
+        ['noFeeOnTransfer', 'VIOLATED', 'rule_output_3.json']
+    ]);
+    assert.equal(rules[0].content.callTrace.message.text, 'rule capRespected');
+    assert.equal(rules[1].content.callTrace.message.text, 'rule envfreeFuncsStaticCheck');
+    assert.equal(failedFetches, 1);
+    assert.equal(rules[2].error, 'HTTP 503');
+    assert.equal(rules[2].attempts, 1);
+});
+
+test('an unknown httpMode is rejected with 400', async () => {
+    for (const endpoint of ['/analyze-and-fetch', '/analyze-and-fetch-stream', '/report']) {
+        const response = await fetch(`${baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: RECORDED_URL, httpMode: 'offline' })
+        });
+        assert.equal(response.status, 400, endpoint);
+        assert.match((await response.json()).error, /Unsupported HTTP mode: offline/);
+    }
+});
+
+test('compare-runs counts leaf rules only', async () => {
+    // Head run: the transfer() case of the invariant is fixed, so the invariant and its induction step pass too
+    const headDir = path.join(dataDir, 'head_run');
+    fs.cpSync(LOCAL_RUN, headDir, { recursive: true });
+    const progressFile = path.join(headDir, 'Reports', 'progress.json');
+    fs.writeFileSync(progressFile, fs.readFileSync(progressFile, 'utf8').replaceAll('"VIOLATED"', '"VERIFIED"')
+        .replace('"capRespected", "status": "VERIFIED"', '"capRespected", "status": "VIOLATED"'));
+
+    const response = await fetch(`${baseUrl}/compare-runs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ base: LOCAL_RUN, head: headDir })
+    });
+    const result = await response.json();
+    assert.equal(result.success, true);
+    assert.deepEqual(result.summary, { unchanged: 3, newly_passing: 1, still_failing: 2 });
+    assert.deepEqual(result.rules.filter(r => r.category === 'newly_passing').map(r => r.ruleName),
+        ['totalSupplyIsSumOfBalances > Induction step: after external (non-view) methods > transfer(address,uint256)']);
+    assert.ok(!result.rules.some(r => r.ruleName === 'totalSupplyIsSumOfBalances'));
+});
+
+test('local output folders are imported from disk', async () => {
+    const expected = [
+        ['totalSupplyIsSumOfBalances > Induction step: after external (non-view) methods > transfer(address,uint256)', 'rule_output_1.json'],
+        ['capRespected', 'rule_output_2.json']
+    ];
+    const run = await importLocalRun({ persist: false });
+    assert.equal(run.runInfo.local, true);
+    assert.equal(run.runInfo.progressFile, path.join(LOCAL_RUN, 'Reports', 'progress.json'));
+    assert.deepEqual(run.rules.map(r => [r.ruleName, r.outputFile]), expected);
+    assert.equal(run.rules[1].content.callTrace.message.text, 'rule capRespected');
+    assert.equal(run.failedFetches, 0);
+
+    // file:// URLs and the Reports folder itself work the same way
+    const viaUrl = await importLocalRun({ localPath: undefined, url: pathToFileURL(path.join(LOCAL_RUN, 'Reports')).href, persist: false });
+    assert.deepEqual(viaUrl.rules.map(r => [r.ruleName, r.outputFile]), expected);
+});
+
+test('a missing local output folder is reported', async () => {
+    const response = await fetch(`${baseUrl}/analyze-and-fetch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ localPath: path.join(dataDir, 'no_such_run'), persist: false })
+    });
+    assert.equal(response.status, 500);
+    assert.match((await response.json()).error, /Local output directory not found/);
+});
+
+// Fake prover site on a free port; handler(endpoint, searchParams) returns (a promise of) [status, body]
+async function fakeProver(handler) {
+    const requests = [];
+    const site = http.createServer(async (req, res) => {
+        const u = new URL(req.url, 'http://localhost');
+        requests.push(u.pathname + u.search);
+        const [status, body] = await handler(u.pathname.split('/')[1], u.searchParams);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    await new Promise(resolve => site.listen(0, resolve));
+    return {
+        url: `http://localhost:${site.address().port}/output/1234/abcd?anonymousKey=secret`,
+        requests,
+        close: () => new Promise(resolve => site.close(resolve))
+    };
+}
+
+const recorded = (name) => fs.readFileSync(path.join(HTTP_FIXTURES, '1234-abcd', name), 'utf8');
+
+test('progress is fetched over HTTP, trying the verification-progress endpoint next', async () => {
+    const prover = await fakeProver((endpoint, params) => {
+        if (endpoint === 'verification-progress') return [200, recorded('progress.json')];
+        if (endpoint === 'result') return [200, recorded(params.get('output'))];
+        return [404, { error: 'not found' }];
+    });
+    try {
+        const response = await fetch(`${baseUrl}/analyze-and-fetch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: prover.url, statuses: ['SANITY_FAILED'], persist: false })
+        });
+        const { rules } = await response.json();
+        assert.deepEqual(rules.map(r => r.outputFile), ['rule_output_2.json']);
+        assert.equal(rules[0].content.callTrace.message.text, 'rule envfreeFuncsStaticCheck');
+        assert.deepEqual(prover.requests, [
+            '/progress/1234/abcd?anonymousKey=secret',
+            '/verification-progress/1234/abcd?anonymousKey=secret',
+            '/result/1234/abcd?anonymousKey=secret&output=rule_output_2.json'
+        ]);
+    } finally {
+        await prover.close();
+    }
+});
+
+test('the status filter selects which rules are imported', async () => {
+    const timeouts = await importLocalRun({ statuses: ['timeout'], persist: false });
+    assert.deepEqual(timeouts.statuses, ['TIMEOUT']);
+    assert.equal(timeouts.rules.length, 1);
+    // TIMEOUT leaves have no rule output; they keep the node fields instead
+    assert.equal(timeouts.rules[0].ruleName, 'sumOfBalancesBounded');
+    assert.equal(timeouts.rules[0].noOutput, true);
+    assert.deepEqual(timeouts.rules[0].nodeInfo, { duration: 600 });
+
+    const all = await importLocalRun({ statuses: 'VIOLATED,TIMEOUT', persist: false });
+    assert.deepEqual(all.rules.map(r => r.status), ['VIOLATED', 'VIOLATED', 'TIMEOUT']);
+
+    // Unknown statuses fall back to VIOLATED and SANITY_FAILED
+    const fallback = await importLocalRun({ statuses: ['RUNNING'], persist: false });
+    assert.deepEqual(fallback.statuses, ['VIOLATED', 'SANITY_FAILED']);
+    assert.equal(fallback.rules.length, 2);
+});
+
+test('rule outputs are fetched with bounded retries and concurrency', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let unavailable = 2;
+    const prover = await fakeProver(async (endpoint, params) => {
+        if (endpoint === 'progress') return [200, recorded('progress.json')];
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight--;
+        const output = params.get('output');
+        if (output === 'rule_output_1.json' && unavailable-- > 0) return [503, { error: 'busy' }];
+        if (output === 'rule_output_3.json') return [404, { error: 'not found' }];
+        return [200, recorded(output)];
+    });
+    try {
+        const events = await postStream('/analyze-and-fetch-stream', {
+            url: prover.url, maxAttempts: 3, baseDelayMs: 0, concurrency: 1, persist: false
+        });
+        const { rules, failedFetches } = events.find(e => e.type === 'complete').data;
+        assert.deepEqual(rules.map(r => [r.outputFile, !!r.content, r.error]), [
+            ['rule_output_1.json', true, undefined],
+            ['rule_output_2.json', true, undefined],
+            ['rule_output_3.json', false, 'HTTP 404']
+        ]);
+        assert.equal(failedFetches, 1);
+        // 503 is retried until it succeeds, 404 is not retried
+        assert.equal(prover.requests.filter(r => r.endsWith('output=rule_output_1.json')).length, 3);
+        assert.equal(rules[2].attempts, 1);
+        assert.equal(maxInFlight, 1);
+
+        // Retries are routine (info); only the rule that stayed unfetched is an error
+        const messages = (type) => events.filter(e => e.type === type).map(e => e.message).join('');
+        assert.match(messages('info'), /Failed to fetch rule_output_1\.json \(attempt 2\/3\): HTTP 503, retrying in 0ms/);
+        assert.ok(!messages('error').includes('retrying'));
+        assert.match(messages('error'), /1 rule output\(s\) could not be fetched/);
+    } finally {
+        await prover.close();
+    }
+});
+
+test('the streaming and plain import endpoints share one pipeline', async () => {
+    const plain = await importLocalRun({ persist: false });
+    const events = await postStream('/analyze-and-fetch-stream', { localPath: LOCAL_RUN, persist: false });
+    const progress = events.filter(e => e.type === 'progress');
+    assert.deepEqual(progress.map(e => e.stage), ['page-loaded', 'rules-found', 'rule-fetched', 'rule-fetched']);
+    assert.deepEqual(progress.slice(1).map(e => [e.current, e.total]), [[0, 2], [1, 2], [2, 2]]);
+
+    const streamed = events.at(-1);
+    assert.equal(streamed.type, 'complete');
+    const strip = ({ timestamp, ...run }) => run;
+    assert.deepEqual(strip(streamed.data), strip(plain));
+});
+
+test('watch mode polls until every rule is final and imports new counterexamples', async () => {
+    // Poll 1 fails, poll 2 sees capRespected still running, poll 3 the finished job
+    const finished = JSON.parse(recorded('progress.json'));
+    const tree = JSON.parse(finished.verificationProgress);
+    tree.rules[0] = { ...tree.rules[0], status: 'RUNNING', output: [] };
+    const running = { verificationProgress: JSON.stringify(tree) };
+    let polls = 0;
+    const prover = await fakeProver((endpoint, params) => {
+        if (endpoint === 'result') return [200, recorded(params.get('output'))];
+        if (endpoint !== 'progress') return [500, { error: 'down' }];
+        polls++;
+        return polls === 1 ? [500, { error: 'down' }] : [200, polls === 2 ? running : finished];
+    });
+    try {
+        const events = await postStream('/watch-run-stream', {
+            url: prover.url, statuses: ['VIOLATED'], intervalMs: 5000, maxAttempts: 1, persist: false
+        });
+        const polled = events.filter(e => e.type === 'poll');
+        assert.match(polled[0].message, /^Poll 1 failed: progress: HTTP 500/);
+        assert.ok(!polled[0].message.includes('browser'), 'no browser fallback after one failed poll');
+        assert.deepEqual(polled.slice(1).map(e => e.pending), [1, 0]);
+
+        assert.deepEqual(events.filter(e => e.type === 'rules').map(e => e.rules.map(r => r.outputFile)),
+            [['rule_output_3.json'], ['rule_output_1.json']]);
+        assert.ok(events.some(e => e.type === 'transition' && e.ruleName === 'capRespected' && e.from === 'RUNNING' && e.to === 'VIOLATED'));
+        assert.equal(events.filter(e => e.type === 'finished').length, 1);
+        const { data } = events.at(-1);
+        assert.deepEqual(data.rules.map(r => r.outputFile), ['rule_output_3.json', 'rule_output_1.json']);
+    } finally {
+        await prover.close();
+    }
+});
+
+test('runs imported together are stored and annotated separately', async () => {
+    // The batch import in the UI sends one import per source; both runs have a rule_output_1.json
+    const local = await importLocalRun();
+    const replayed = await (await fetch(`${baseUrl}/analyze-and-fetch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: RECORDED_URL, httpMode: 'replay', maxAttempts: 1 })
+    })).json();
+    assert.equal(replayed.runKey, '1234-abcd');
+    assert.match(local.runKey, /^local-local_run-[0-9a-f]{10}$/);
+
+    const annotate = (runKey, notes) => fetch(`${baseUrl}/runs/${encodeURIComponent(runKey)}/annotations`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ annotations: { 'rule_output_1.json': { notes } } })
+    });
+    assert.equal((await annotate(local.runKey, 'local note')).status, 200);
+    assert.equal((await annotate(replayed.runKey, 'replayed note')).status, 200);
+
+    const { runs } = await (await fetch(`${baseUrl}/runs`)).json();
+    assert.ok(runs.some(r => r.runKey === local.runKey) && runs.some(r => r.runKey === replayed.runKey));
+    for (const [runKey, notes] of [[local.runKey, 'local note'], [replayed.runKey, 'replayed note']]) {
+        const { annotations } = await (await fetch(`${baseUrl}/runs/${encodeURIComponent(runKey)}`)).json();
+        assert.equal(annotations['rule_output_1.json'].notes, notes);
+    }
+});
+
+test('/report renders the rule markdown of a local output folder', async () => {
+    const response = await fetch(`${baseUrl}/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ localPath: LOCAL_RUN, format: 'markdown', persist: false })
+    });
+    assert.match(response.headers.get('content-type'), /^text\/markdown/);
+    const reports = (await response.text()).split('\n\n---\n\n');
+    assert.equal(reports.length, 2);
+    assert.ok(reports[1].startsWith('# Certora Trace Analysis\n\n**Rule:** capRespected\n**Status:** VIOLATED\n'));
+    assert.ok(reports[1].includes('- assert totalSupply <= cap **[FAILURE]**'));
+
+    const { reports: timeouts } = await (await fetch(`${baseUrl}/report?localPath=${encodeURIComponent(LOCAL_RUN)}&statuses=TIMEOUT&persist=false`)).json();
+    assert.deepEqual(timeouts.map(r => [r.ruleName, r.status]), [['sumOfBalancesBounded', 'TIMEOUT']]);
+    assert.ok(timeouts[0].markdown.includes('- **duration**: `600`'));
+});
+
+test('/source-snippets reads lines inside the project only', async () => {
+    const project = path.join(dataDir, 'snippet_project');
+    fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'src', 'Token.sol'), Array.from({ length: 20 }, (_, i) => `// line ${i + 1}`).join('\n') + '\n');
+    fs.writeFileSync(path.join(dataDir, 'Secret.sol'), '// outside the project\n');
+
+    const response = await fetch(`${baseUrl}/source-snippets`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            projectPath: project,
+            contextLines: 2,
+            locations: [
+                { file: '.certora_sources/src/Token.sol', line: 1 },
+                { file: 'src/Token.sol', line: 20 },
+                { file: 'src/Token.sol', line: 21 },
+                { file: '../Secret.sol', line: 1 }
+            ]
+        })
+    });
+    const { snippets, missing } = await response.json();
+    assert.deepEqual(snippets['.certora_sources/src/Token.sol:1'], {
+        file: '.certora_sources/src/Token.sol', line: 1, startLine: 1, lines: ['// line 1', '// line 2', '// line 3']
+    });
+    assert.deepEqual(snippets['src/Token.sol:20'].lines, ['// line 18', '// line 19', '// line 20']);
+    assert.deepEqual(missing, ['src/Token.sol:21', '../Secret.sol:1']);
+});
+
+test('/junit has one testcase per leaf rule of the progress tree', async () => {
+    const { runKey } = await importLocalRun();
+    const response = await fetch(`${baseUrl}/junit?runKey=${encodeURIComponent(runKey)}`);
+    assert.match(response.headers.get('content-type'), /^application\/xml/);
+    const xml = await response.text();
+    const cases = Array.from(xml.matchAll(/<testcase classname="([^"]*)" name="([^"]*)"/g), m => `${m[1]} / ${m[2]}`);
+    assert.deepEqual(cases, [
+        'totalSupplyIsSumOfBalances / Induction base: After the constructor',
+        'totalSupplyIsSumOfBalances / Induction step: after external (non-view) methods &gt; transfer(address,uint256)',
+        'totalSupplyIsSumOfBalances / Induction step: after external (non-view) methods &gt; approve(address,uint256)',
+        'capRespected / capRespected',
+        'transferPreservesSupply / transferPreservesSupply',
+        'sumOfBalancesBounded / sumOfBalancesBounded'
+    ]);
+    assert.match(xml, /tests="6" failures="2" errors="1" skipped="0"/);
+    assert.ok(xml.includes('- assert totalSupply &lt;= cap **[FAILURE]**'));
+});